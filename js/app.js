@@ -8,10 +8,32 @@ class WordLearningApp {
         this.words = [];
         this.filteredWords = [];
         this.currentWord = null;
-        this.language = 'english'; // Default language
+        this.language = LanguagePacks.get().id; // Default language pack
         this.currentFilter = 'all';
-        this.clickedWords = []; // Track last 20 clicked words
+        // Child profiles: each profile gets its own progress store
+        this.profiles = new ProfileStore();
+        this.activeProfile = this.profiles.getActiveProfile();
+        this.progress = this.createProgressStore(); // Persistent history, attempts and scores
         this.wordLookup = new Map(); // Fast lookup by word text
+        this.kiosk = new KioskMode(); // Parent PIN lock onto one page
+        this.wordLists = new Map(); // Loaded word lists by language, so switching back is instant
+        this.translations = new Translations(); // cat ↔ chat, loaded from data/translations.json
+        this.customLists = new WordListStore(); // Teacher-made lists like "Week 3 spelling"
+        this.clips = new AudioClipStore(); // Pronunciations recorded by a parent or teacher
+        this.clipWords = new Map(); // Words with a recorded clip, by language
+        this.clipRecorder = new ClipRecorder();
+        this.currentAudio = null; // Audio clip or file playing: { audio, finish }
+        this.audioRequest = 0; // Bumped by each sound, so a slow clip load can't talk over a newer one
+        this.router = new HashRouter(route => this.handleRoute(route)); // #/en/words, #/fr/game, ...
+        this.gridNavigator = null; // Arrow keys between word buttons (set up with the grid)
+        // Screen reader announcements: toasts page-wide, game state inside the game dialog
+        this.announcer = new LiveAnnouncer();
+        const gameModal = document.getElementById('game-modal');
+        this.gameAnnouncer = gameModal ? new LiveAnnouncer({ container: gameModal }) : this.announcer;
+        this.switchScanner = new SwitchScanner({
+            getItems: () => Array.from(document.querySelectorAll('#words-grid .word-btn')),
+            isPaused: () => !this.isWordsViewActive()
+        });
         // Cached DOM references (populated after DOMContentLoaded / setup)
         this.dom = {
             wordsGrid: null
@@ -20,6 +42,7 @@ class WordLearningApp {
         // Speech synthesis setup
         this.synth = window.speechSynthesis;
         this.voices = [];
+        this.soundOutRun = null; // Word being sounded out, segment by segment
         
         // Initialize the app
         this.init();
@@ -34,17 +57,29 @@ class WordLearningApp {
             this.loadVoices();
             this.synth.onvoiceschanged = () => this.loadVoices();
             
-            // Determine current page and language
-            this.detectLanguage();
-            
-            // Load words based on current page
-            if (this.isWordPage()) {
-                await this.loadWords();
-                this.setupWordPage();
-            }
-            
             // Setup event listeners
             this.setupEventListeners();
+            this.setupWordListEditor();
+            this.setupVoiceSettings();
+            this.setupClipRecorder();
+            this.setupKeyboardNavigation();
+            
+            // Nav links and home page buttons for each language pack
+            this.renderLanguageLinks();
+
+            // Profile picker (home page) and active profile badge (all pages)
+            this.setupProfilePicker();
+            this.renderProfileBadge();
+            this.applyAccessSettings();
+
+            // Offline support
+            this.registerServiceWorker();
+
+            // Kiosk mode (may send the child back to their locked page)
+            if (this.setupKioskMode() === false) return;
+
+            // Show the view in the URL (home, a language's words, or its game)
+            await this.router.start();
             
         } catch (error) {
             console.error('Error initializing app:', error);
@@ -59,23 +94,256 @@ class WordLearningApp {
     }
 
     /**
-     * Detect current language based on page URL
+     * Check if this page is the app shell with the routed views (index.html)
+     */
+    isAppShell() {
+        return document.getElementById('words-view') !== null;
+    }
+
+    /**
+     * Show the view for a route: #/ (home), #/<lang>/words or #/<lang>/game.
+     * Word routes carry the word list view: ?category=, ?q= (search) and ?view=random|history
+     */
+    async handleRoute(route) {
+        if (!this.isAppShell()) return;
+
+        const lockedPath = this.getKioskPath();
+        if (lockedPath && route.path !== lockedPath) {
+            return this.router.navigate(lockedPath, {}, { replace: true });
+        }
+
+        if (route.segments.length === 0) {
+            if (this.isGameOpen()) this.closeGame(false);
+            this.showView('home');
+            return;
+        }
+
+        const [code, view] = route.segments;
+        const pack = LanguagePacks.findByRoute(code);
+        if (!pack || route.segments.length !== 2 || !['words', 'game'].includes(view)) {
+            return this.router.navigate('', {}, { replace: true });
+        }
+
+        if (pack.id !== this.language || this.words.length === 0) {
+            await this.switchLanguage(pack.id); // Restores the word list view from the route
+            if (this.router.current !== route) return; // Another route came in while loading
+        } else if (view === 'words') {
+            this.applyWordView(route.params);
+        }
+        this.showView('words');
+
+        if (view === 'game') {
+            this.startWordGame({ listId: route.params.get('list') });
+        } else if (this.isGameOpen()) {
+            this.closeGame(false);
+        }
+    }
+
+    /**
+     * Switch the word view to another language pack (no reload: profile, history
+     * and audio stay as they are)
+     */
+    async switchLanguage(language) {
+        if (this.isGameOpen()) this.closeGame(false);
+        this.language = language;
+
+        await Promise.all([this.loadWords(), this.loadTranslations()]);
+        if (this.language !== language) return; // Switched again while loading
+        this.setupWordPage();
+    }
+
+    /**
+     * Show one of the app shell's views ('home' or 'words') and label the page for it
+     */
+    showView(name) {
+        const pack = this.getLanguagePack();
+        const isHome = name === 'home';
+        this.applyLanguageStrings(isHome ? LanguagePacks.get() : pack);
+
+        document.getElementById('home-view').hidden = !isHome;
+        document.getElementById('words-view').hidden = isHome;
+        this.renderLanguageAbout(isHome ? null : pack);
+        document.querySelectorAll('nav a[data-route]').forEach(link => {
+            link.classList.toggle('active', link.dataset.route === (isHome ? '' : pack.route));
+        });
+
+        document.documentElement.lang = isHome ? 'en' : pack.locale.split('-')[0];
+        const title = document.getElementById('page-title');
+        const subtitle = document.getElementById('page-subtitle');
+        if (title) title.textContent = this.t(isHome ? 'homeTitle' : 'pageTitle');
+        if (subtitle) subtitle.textContent = this.t(isHome ? 'homeSubtitle' : 'pageSubtitle');
+        document.title = this.t(isHome ? 'homeDocumentTitle' : 'documentTitle');
+        this.currentView = name;
+    }
+
+    /**
+     * Get interface text from the current language pack (falls back to the default pack)
+     */
+    t(key, pack = this.getLanguagePack()) {
+        const text = pack.strings[key];
+        return text !== undefined ? text : (LanguagePacks.get().strings[key] || '');
+    }
+
+    /**
+     * Fill the page's data-i18n elements with a language pack's text
+     */
+    applyLanguageStrings(pack = this.getLanguagePack()) {
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n, pack).replace('{n}', el.dataset.i18nN || '');
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder, pack);
+        });
+        document.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.dataset.i18nTitle, pack);
+        });
+        document.querySelectorAll('[data-i18n-label]').forEach(el => {
+            el.setAttribute('aria-label', this.t(el.dataset.i18nLabel, pack));
+        });
+        document.querySelectorAll('[data-nav-pack]').forEach(el => {
+            el.textContent = this.getNavLabel(LanguagePacks.get(el.dataset.navPack), pack);
+        });
+    }
+
+    /**
+     * Get the nav link text for a language pack's words, in an interface language
+     * (falls back to the default language's text, then the pack's flag and name)
+     */
+    getNavLabel(pack, interfacePack = LanguagePacks.get()) {
+        const labels = pack.navLabel || {};
+        return labels[interfacePack.id] || labels[LanguagePacks.get().id] ||
+            `${pack.flag || ''} ${pack.name || pack.id}`.trim();
+    }
+
+    /**
+     * Add a nav link (after Home) and a home page button for each language pack
+     */
+    renderLanguageLinks() {
+        const homeLink = document.querySelector('nav a[data-route=""]');
+        if (homeLink) {
+            const base = homeLink.getAttribute('href').split('#')[0]; // 'index.html' off the app shell
+            let previous = homeLink.closest('li');
+            LanguagePacks.list().forEach(pack => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `${base}#/${pack.route}/words`;
+                link.dataset.route = pack.route;
+                link.dataset.navPack = pack.id;
+                link.textContent = this.getNavLabel(pack);
+                item.appendChild(link);
+                previous.after(item);
+                previous = item;
+            });
+        }
+
+        const buttons = document.getElementById('language-buttons');
+        if (!buttons) return;
+        buttons.innerHTML = '';
+        LanguagePacks.list().forEach(pack => {
+            const button = document.createElement('a');
+            button.href = `#/${pack.route}/words`;
+            button.className = 'language-btn';
+            button.classList.add(pack.id);
+            button.dataset.packId = pack.id;
+            [['language-flag', pack.flag], ['', pack.name || pack.id], ['language-subtitle', pack.tagline]]
+                .filter(([, text]) => text)
+                .forEach(([className, text]) => {
+                    const line = document.createElement('div');
+                    if (className) line.className = className;
+                    line.textContent = text;
+                    button.appendChild(line);
+                });
+            buttons.appendChild(button);
+        });
+    }
+
+    /**
+     * Fill the words page's "about" section from a language pack (hidden on the home
+     * page and for packs without one)
      */
-    detectLanguage() {
-        const path = window.location.pathname;
-        if (path.includes('french.html')) {
-            this.language = 'french';
-        } else if (path.includes('english.html')) {
-            this.language = 'english';
+    renderLanguageAbout(pack) {
+        const section = document.getElementById('language-about');
+        if (!section) return;
+        section.hidden = !pack || !pack.about;
+        if (section.hidden || section.dataset.packId === pack.id) return;
+
+        const { title, topics = [], benefits, notes = [] } = pack.about;
+        const tones = ['orange', 'green', 'blue', 'purple', 'yellow', 'pink'];
+        const box = (className, heading) => {
+            const el = document.createElement('div');
+            el.className = `feature-box ${className}`;
+            const h3 = document.createElement('h3');
+            h3.textContent = heading;
+            el.appendChild(h3);
+            return el;
+        };
+
+        section.innerHTML = '';
+        section.dataset.packId = pack.id;
+        const h2 = document.createElement('h2');
+        h2.textContent = title || '';
+        section.appendChild(h2);
+
+        if (topics.length > 0) {
+            const grid = document.createElement('div');
+            grid.className = 'feature-grid';
+            topics.forEach((topic, index) => {
+                const el = box(`bg-soft-${tones[index % tones.length]}`, topic.title);
+                el.appendChild(this.createRichText('p', topic.text));
+                grid.appendChild(el);
+            });
+            section.appendChild(grid);
+        }
+
+        if (benefits) {
+            const el = box('bg-soft-grey about-box', benefits.title);
+            const list = document.createElement('ul');
+            list.className = 'about-list';
+            (benefits.items || []).forEach(([label, text]) => {
+                list.appendChild(this.createRichText('li', `*${label}* ${text}`));
+            });
+            el.appendChild(list);
+            section.appendChild(el);
         }
+
+        notes.forEach(note => {
+            const el = box('bg-soft-lightblue about-box', note.title);
+            (note.paragraphs || []).forEach(text => el.appendChild(this.createRichText('p', text)));
+            section.appendChild(el);
+        });
+    }
+
+    /**
+     * Create an element for pack text, showing words wrapped in *asterisks* in bold
+     */
+    createRichText(tagName, text) {
+        const el = document.createElement(tagName);
+        String(text || '').split(/\*([^*]+)\*/).forEach((part, index) => {
+            if (!part) return;
+            if (index % 2 === 0) {
+                el.appendChild(document.createTextNode(part));
+            } else {
+                const strong = document.createElement('strong');
+                strong.textContent = part;
+                el.appendChild(strong);
+            }
+        });
+        return el;
+    }
+
+    /**
+     * Get the language pack for the current language
+     */
+    getLanguagePack() {
+        return LanguagePacks.get(this.language);
     }
 
     /**
-     * Check if current page is a word learning page
+     * Pick the current language's text from a { languageId: text } map
+     * (falls back to the default language pack's text)
      */
-    isWordPage() {
-        const path = window.location.pathname;
-        return path.includes('english.html') || path.includes('french.html');
+    localize(texts) {
+        return texts[this.language] || texts[LanguagePacks.get().id] || '';
     }
 
     /**
@@ -83,59 +351,244 @@ class WordLearningApp {
      */
     loadVoices() {
         this.voices = this.synth.getVoices();
+        const dialog = document.getElementById('voice-dialog');
+        if (dialog && dialog.style.display === 'flex') this.renderVoicePickers(this.readVoiceForm());
     }
 
     /**
-     * Get appropriate voice for current language
+     * Get a voice's saved id (voiceURI, or its name where the browser has none)
      */
-    getVoice() {
-        if (!this.voices || this.voices.length === 0) return null;
-        if (this.language === 'french') {
-            return this.voices.find(v => v.lang.includes('fr-CA') || v.lang.includes('fr-FR') || v.lang.includes('fr')) || this.voices[0];
-        }
-        return this.voices.find(v => v.lang.includes('en-CA') || v.lang.includes('en-US') || v.lang.includes('en')) || this.voices[0];
+    getVoiceId(voice) {
+        return voice.voiceURI || voice.name;
+    }
+
+    /**
+     * Get the voices that speak a language, best match for its pack's voice tags first
+     * (so fr-CA comes before fr-FR for Canadian French)
+     */
+    getVoicesFor(language) {
+        const pack = LanguagePacks.get(language);
+        const primary = pack.locale.split('-')[0].toLowerCase();
+        const rank = voice => {
+            const lang = voice.lang.replace('_', '-').toLowerCase();
+            const index = pack.voices.findIndex(tag => lang === tag.toLowerCase() || lang.startsWith(`${tag.toLowerCase()}-`));
+            return index === -1 ? pack.voices.length : index;
+        };
+        return (this.voices || [])
+            .filter(voice => voice.lang && voice.lang.replace('_', '-').toLowerCase().split('-')[0] === primary)
+            .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get the voice for a language (the current one by default): the profile's choice, or
+     * the best match. Null when the device has no voice for it, so the browser picks from
+     * the utterance's language instead of speaking with another language's voice.
+     */
+    getVoice(language = this.language, settings = this.getVoiceSettings()) {
+        const chosen = settings.voices[language];
+        const voice = chosen && (this.voices || []).find(v => this.getVoiceId(v) === chosen);
+        return voice || this.getVoicesFor(language)[0] || null;
+    }
+
+    /**
+     * Default speech settings: a little slower and higher than normal, for young listeners
+     */
+    getDefaultVoiceSettings() {
+        return { rate: 0.8, pitch: 1.1, volume: 1, voices: {} };
+    }
+
+    /**
+     * Get the active profile's speech settings (voice per language, rate, pitch, volume)
+     */
+    getVoiceSettings() {
+        const profileId = this.activeProfile ? this.activeProfile.id : null;
+        const saved = this.profiles.getSettings(profileId, 'voice');
+        const defaults = this.getDefaultVoiceSettings();
+        return { ...defaults, ...saved, voices: { ...defaults.voices, ...(saved.voices || {}) } };
     }
 
     /**
      * Load words from JSON file
      */
     async loadWords() {
+        const language = this.language;
         try {
-            const fileName = this.language === 'french' ? 'french-words.json' : 'english-words.json';
-            
-            const response = await fetch(`data/${fileName}`);
-            
-            if (!response.ok) {
-                throw new Error(`Failed to load words: ${response.status} ${response.statusText}`);
+            let words = this.wordLists.get(language);
+            if (!words) {
+                const response = await fetch(this.getLanguagePack().wordFile);
+                
+                if (!response.ok) {
+                    throw new Error(`Failed to load words: ${response.status} ${response.statusText}`);
+                }
+                words = await response.json();
             }
+            if (this.language !== language) return; // Switched language while loading
+
+            // Skip bad entries (missing phonics, unknown category, duplicates) instead of crashing
+            const pack = this.getLanguagePack();
+            const validation = new WordValidator({ categories: Object.keys(pack.categoryLabels) }).validate(words);
+            if (validation.errors.length > 0) {
+                console.warn(`${pack.wordFile}: skipped ${validation.errors.length} bad word entries`,
+                    validation.errors.map(({ index, word, message }) => `#${index} ${word || ''}: ${message}`));
+            }
+            words = validation.words;
             
-            this.words = await response.json();
+            this.words = words;
             this.filteredWords = [...this.words];
+            this.segmentInventory = null; // Rebuilt lazily for the new word list
+            this.rimeIndex = null;
             // Build lookup map
             this.wordLookup.clear();
             this.words.forEach(w => { if (w && w.word) this.wordLookup.set(w.word, w); });
+            this.indexListWords();
             
             // Ensure words are valid
             if (!Array.isArray(this.words) || this.words.length === 0) {
                 throw new Error('No valid words found in data file');
             }
+            this.wordLists.set(language, words);
+            this.loadClipWords(language);
             
         } catch (error) {
             console.error('Error loading words:', error);
             this.words = [];
             this.filteredWords = [];
-            this.showError(`Failed to load words: ${error.message}`);
+            this.showError(navigator.onLine === false ?
+                'You are offline and the words are not saved on this device yet. Connect once to use them offline.' :
+                `Failed to load words: ${error.message}`);
         }
     }
 
     /**
-     * Setup word page functionality
+     * Load the translations linking the language packs (once; they're optional,
+     * so a missing file just leaves bilingual features off)
      */
-    setupWordPage() {
+    loadTranslations() {
+        if (!this.translationsLoading) {
+            this.translationsLoading = fetch('data/translations.json')
+                .then(response => {
+                    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+                    return response.json();
+                })
+                .then(entries => this.translations.setEntries(entries))
+                .catch(error => {
+                    console.warn('Translations not loaded:', error.message);
+                    this.translationsLoading = null; // Try again on the next language switch
+                });
+        }
+        return this.translationsLoading;
+    }
+
+    /**
+     * Get the language pack id words are translated into (null if there are no translations)
+     */
+    getTranslationLanguage() {
+        return this.translations.getPartner(this.language, LanguagePacks.list().map(pack => pack.id));
+    }
+
+    /**
+     * Translate a word from the current language (null if there's no translation)
+     */
+    getTranslation(word) {
+        const partner = this.getTranslationLanguage();
+        return partner ? this.translations.translate(word, this.language, partner) : null;
+    }
+
+    /**
+     * Check if word buttons show bilingual cards (a per-profile display setting)
+     */
+    isShowingTranslations() {
+        const profileId = this.activeProfile ? this.activeProfile.id : null;
+        return this.profiles.getSettings(profileId, 'display').bilingual === true &&
+            this.getTranslationLanguage() !== null;
+    }
+
+    /**
+     * Turn bilingual cards on or off
+     */
+    toggleBilingualCards() {
+        const profileId = this.activeProfile ? this.activeProfile.id : null;
+        this.profiles.updateSettings(profileId, 'display', { bilingual: !this.isShowingTranslations() });
+        this.updateBilingualButton();
         this.renderWords();
-        // Cache DOM references post-render
+    }
+
+    /**
+     * Show the bilingual cards button only for languages with translations
+     */
+    updateBilingualButton() {
+        const btn = document.getElementById('bilingual-btn');
+        if (!btn) return;
+        btn.hidden = this.getTranslationLanguage() === null;
+        btn.setAttribute('aria-pressed', String(this.isShowingTranslations()));
+    }
+
+    /**
+     * Setup word page functionality (restoring the word list view from the URL)
+     */
+    setupWordPage() {
+        // Cache DOM references
         this.dom.wordsGrid = document.getElementById('words-grid');
         this.setupFilterOptions();
+        const route = this.router.current;
+        this.updateBilingualButton();
+        this.applyWordView(route && route.segments[1] === 'words' ? route.params : new URLSearchParams());
+        this.updateReviewButton();
+    }
+
+    /**
+     * Show the word list described by URL query values: category or list (a teacher-made list),
+     * q (search term), and view ('random' with a seed, or 'history'). Unknown values fall back to all words.
+     */
+    applyWordView(params) {
+        const list = this.getCustomList(params.get('list'));
+        const category = this.getUniqueCategories().includes(params.get('category')) ? params.get('category') : 'all';
+        const searchTerm = (params.get('q') || '').trim();
+        const view = ['random', 'history'].includes(params.get('view')) ? params.get('view') : null;
+        const seed = parseInt(params.get('seed'), 10) || 0;
+
+        const searchBar = document.getElementById('search-bar');
+        const filterSelect = document.getElementById('filter-select');
+
+        if (view) {
+            // Random and history lists replace the filter and search
+            this.wordView = view === 'random' ? { view, seed } : { view };
+            this.currentFilter = 'all';
+            if (searchBar) searchBar.value = '';
+            if (filterSelect) filterSelect.value = 'all';
+            this.filteredWords = view === 'random' ? this.getRandomWords(20, seed) : this.getLastClickedWords(20);
+            this.renderWords();
+            return;
+        }
+
+        this.currentFilter = list ? `list:${list.id}` : category;
+        this.wordView = { ...this.getFilterParams(this.currentFilter), q: searchTerm };
+        if (filterSelect) filterSelect.value = this.currentFilter;
+        // Leave the box alone while typing (it may have a trailing space)
+        if (searchBar && searchBar.value.trim() !== searchTerm) searchBar.value = searchTerm;
+
+        let baseWords = this.words;
+        if (list) {
+            baseWords = this.getListWords(list);
+        } else if (category !== 'all') {
+            baseWords = this.words.filter(word => word.category === category);
+        }
+        const term = searchTerm.toLowerCase();
+        this.filteredWords = term ?
+            baseWords.filter(word =>
+                word.word.toLowerCase().includes(term) ||
+                word.phonics.toLowerCase().includes(term)
+            ) :
+            [...baseWords];
+        this.renderWords();
+    }
+
+    /**
+     * Put a word list view in the URL (which then shows it). Each view gets a history
+     * entry so Back returns to the previous list; `replace` updates the current one.
+     */
+    setWordView(params, options = {}) {
+        this.router.navigate(`${this.getLanguagePack().route}/words`, params, options);
     }
 
     /**
@@ -174,16 +627,38 @@ class WordLearningApp {
             showAllBtn.addEventListener('click', () => this.showAllWords());
         }
 
-        // Floating game button
+        const bilingualBtn = document.getElementById('bilingual-btn');
+        if (bilingualBtn) {
+            bilingualBtn.addEventListener('click', () => this.toggleBilingualCards());
+        }
+
+        // Floating game button (opens the game route, so it can be bookmarked)
         const floatingGameBtn = document.getElementById('floating-game-btn');
         if (floatingGameBtn) {
-            floatingGameBtn.addEventListener('click', () => this.startWordGame());
+            floatingGameBtn.addEventListener('click', () => {
+                // Showing a teacher-made list: play with its words
+                const list = this.wordView && this.wordView.list;
+                this.router.navigate(`${this.getLanguagePack().route}/game`, list ? { list } : {});
+            });
+        }
+
+        // Today's review button (spaced repetition)
+        const reviewBtn = document.getElementById('floating-review-btn');
+        if (reviewBtn) {
+            reviewBtn.addEventListener('click', () => this.startReviewGame());
         }
 
         // Delegate clicks for word buttons (performance improvement)
         const wordsGrid = document.getElementById('words-grid');
         if (wordsGrid) {
             wordsGrid.addEventListener('click', (e) => {
+                const soundOutBtn = e.target.closest('.sound-out-btn');
+                if (soundOutBtn) {
+                    const wordObj = this.wordLookup.get(soundOutBtn.dataset.soundOut);
+                    const card = soundOutBtn.closest('.word-card');
+                    if (wordObj) this.soundOut(wordObj, card && card.querySelector('.word-text'));
+                    return;
+                }
                 const btn = e.target.closest('.word-btn');
                 if (!btn) return;
                 const wordText = btn.dataset.word;
@@ -195,129 +670,428 @@ class WordLearningApp {
         // No longer using current word display or sticky behavior
     }
 
+    /**
+     * Create the progress store for the active profile
+     */
+    createProgressStore() {
+        const profileId = this.activeProfile ? this.activeProfile.id : null;
+        return new ProgressStore(undefined, ProgressStore.keyForProfile(profileId));
+    }
+
+    /**
+     * Switch to another profile (null for guest)
+     */
+    switchProfile(profileId) {
+        this.activeProfile = this.profiles.setActiveProfile(profileId);
+        this.progress = this.createProgressStore();
+        this.renderProfilePicker();
+        this.renderProfileBadge();
+        this.updateBilingualButton();
+        this.applyAccessSettings();
+    }
 
     /**
-     * Setup filter options in dropdown
+     * Setup the profile picker on the home page
      */
-    setupFilterOptions() {
-        const filterSelect = document.getElementById('filter-select');
-        if (!filterSelect) return;
+    setupProfilePicker() {
+        const picker = document.getElementById('profile-picker');
+        if (!picker) return;
+
+        // Populate avatar choices
+        const avatarChoices = document.getElementById('profile-avatars');
+        if (avatarChoices) {
+            ProfileStore.AVATARS.forEach((avatar, index) => {
+                const label = document.createElement('label');
+                label.className = 'avatar-choice';
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = 'profile-avatar';
+                input.value = avatar;
+                input.checked = index === 0;
+                const span = document.createElement('span');
+                span.textContent = avatar;
+                label.appendChild(input);
+                label.appendChild(span);
+                avatarChoices.appendChild(label);
+            });
+        }
 
-        const categories = this.getUniqueCategories();
-        filterSelect.innerHTML = '<option value="all">All Words</option>';
-        
-        categories.forEach(category => {
-            const option = document.createElement('option');
-            option.value = category;
-            option.textContent = this.formatCategoryName(category);
-            filterSelect.appendChild(option);
+        // Populate languages from the installed language packs
+        const languageSelect = document.getElementById('profile-language');
+        if (languageSelect) {
+            LanguagePacks.list().forEach(pack => {
+                languageSelect.appendChild(new Option(`${pack.flag || ''} ${pack.name || pack.id}`.trim(), pack.id));
+            });
+        }
+
+        // Populate reading levels
+        const levelSelect = document.getElementById('profile-level');
+        if (levelSelect) {
+            Object.entries(ProfileStore.READING_LEVELS).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                levelSelect.appendChild(option);
+            });
+        }
+
+        // Delegate clicks for profile cards
+        picker.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.profile-remove');
+            if (removeBtn) {
+                this.removeProfile(removeBtn.dataset.profileId);
+                return;
+            }
+            const card = e.target.closest('.profile-card');
+            if (card) {
+                this.switchProfile(card.dataset.profileId || null);
+                const name = this.activeProfile ? this.activeProfile.name : 'Guest';
+                this.showToast(`Hi ${name}! Pick a language to start.`);
+            }
         });
+
+        const addBtn = document.getElementById('add-profile-btn');
+        const form = document.getElementById('profile-form');
+        const cancelBtn = document.getElementById('cancel-profile-btn');
+
+        if (addBtn && form) {
+            addBtn.addEventListener('click', () => {
+                form.style.display = 'block';
+                addBtn.style.display = 'none';
+                document.getElementById('profile-name')?.focus();
+            });
+        }
+
+        if (cancelBtn && form) {
+            cancelBtn.addEventListener('click', () => this.hideProfileForm());
+        }
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveProfileForm();
+            });
+        }
+
+        this.renderProfilePicker();
     }
 
     /**
-     * Get unique categories from words
+     * Render profile cards on the home page
      */
-    getUniqueCategories() {
-        const categories = new Set();
-        this.words.forEach(word => {
-            categories.add(word.category);
+    renderProfilePicker() {
+        const picker = document.getElementById('profile-picker');
+        if (!picker) return;
+
+        picker.innerHTML = '';
+        const frag = document.createDocumentFragment();
+        const activeId = this.activeProfile ? this.activeProfile.id : null;
+
+        this.profiles.getProfiles().forEach(profile => {
+            frag.appendChild(this.createProfileCard(profile, profile.id === activeId));
         });
-        return Array.from(categories).sort();
+        frag.appendChild(this.createProfileCard(null, activeId === null));
+        picker.appendChild(frag);
+
+        this.updateHomeLanguageChoice();
     }
 
     /**
-     * Format category name for display
+     * Create a profile card (null profile = guest)
      */
-    formatCategoryName(category) {
-        const categoryNames = {
-            'simple': 'Simple Words',
-            'digraph': 'Digraphs (sh, ch, th, ph, wh)',
-            'trigraph': 'Trigraphs (tch, igh, dge)',
-            'blend': 'Blends/Consonant Clusters',
-            'vowel_team': 'Vowel Teams (ea, oa, ai, ee)',
-            'diphthong': 'Diphthongs (oi, oy, ow, ou)',
-            'silent': 'Silent Letters',
-            'magic_e': 'Magic E (hop → hope)',
-            'r_controlled': 'R-controlled Vowels',
-            'double': 'Double Consonants',
-            'schwa': 'Schwa Sound',
-            'special': 'Special Characters'
-        };
-        return categoryNames[category] || category.charAt(0).toUpperCase() + category.slice(1);
+    createProfileCard(profile, isActive) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'profile-card-wrapper';
+
+        const card = document.createElement('button');
+        card.type = 'button';
+        card.className = isActive ? 'profile-card active' : 'profile-card';
+        card.dataset.profileId = profile ? profile.id : '';
+        card.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+
+        const avatar = document.createElement('span');
+        avatar.className = 'profile-avatar';
+        avatar.setAttribute('aria-hidden', 'true');
+        avatar.textContent = profile ? profile.avatar : '👤';
+
+        const name = document.createElement('span');
+        name.className = 'profile-name';
+        name.textContent = profile ? profile.name : 'Guest';
+
+        card.appendChild(avatar);
+        card.appendChild(name);
+
+        if (profile) {
+            const level = document.createElement('span');
+            level.className = 'profile-level';
+            level.textContent = `${LanguagePacks.get(profile.language).flag || ''} ${ProfileStore.READING_LEVELS[profile.readingLevel] || ''}`;
+            card.appendChild(level);
+        }
+
+        wrapper.appendChild(card);
+
+        if (profile) {
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'profile-remove';
+            removeBtn.dataset.profileId = profile.id;
+            removeBtn.setAttribute('aria-label', `Remove ${profile.name}`);
+            removeBtn.textContent = '✕';
+            wrapper.appendChild(removeBtn);
+        }
+
+        return wrapper;
     }
 
     /**
-     * Search words based on input
+     * Point the home page language choice and game link at the profile's preferred language
      */
-    searchWords(searchTerm) {
-        if (!searchTerm.trim()) {
-            this.filteredWords = this.currentFilter === 'all' ? 
-                [...this.words] : 
-                this.words.filter(word => word.category === this.currentFilter);
-        } else {
-            const term = searchTerm.toLowerCase();
-            const baseWords = this.currentFilter === 'all' ? 
-                this.words : 
-                this.words.filter(word => word.category === this.currentFilter);
-            
-            this.filteredWords = baseWords.filter(word => 
-                word.word.toLowerCase().includes(term) ||
-                word.phonics.toLowerCase().includes(term)
-            );
+    updateHomeLanguageChoice() {
+        const preferred = this.activeProfile ? this.activeProfile.language : null;
+
+        document.querySelectorAll('.language-btn').forEach(btn => {
+            const isPreferred = preferred !== null && btn.dataset.packId === preferred;
+            btn.classList.toggle('preferred', isPreferred);
+        });
+
+        const gameLink = document.getElementById('home-game-link');
+        if (gameLink) {
+            const pack = LanguagePacks.get(preferred);
+            gameLink.href = `#/${pack.route}/game`;
+            gameLink.title = `Play ${pack.name} Word Games!`;
+            gameLink.setAttribute('aria-label', `Open ${pack.name} word game`);
         }
-        this.renderWords();
     }
 
     /**
-     * Filter words by category
+     * Create a profile from the home page form
      */
-    filterWords(category) {
-        this.currentFilter = category;
-        const searchTerm = document.getElementById('search-bar')?.value || '';
-        
-        if (category === 'all') {
-            this.filteredWords = [...this.words];
-        } else {
-            this.filteredWords = this.words.filter(word => word.category === category);
-        }
+    saveProfileForm() {
+        const nameInput = document.getElementById('profile-name');
+        const avatarInput = document.querySelector('input[name="profile-avatar"]:checked');
+        const languageSelect = document.getElementById('profile-language');
+        const levelSelect = document.getElementById('profile-level');
 
-        // Apply search filter if there's a search term
-        if (searchTerm.trim()) {
-            this.searchWords(searchTerm);
-        } else {
-            this.renderWords();
+        try {
+            const profile = this.profiles.createProfile({
+                name: nameInput ? nameInput.value : '',
+                avatar: avatarInput ? avatarInput.value : undefined,
+                language: languageSelect ? languageSelect.value : undefined,
+                readingLevel: levelSelect ? levelSelect.value : undefined
+            });
+            this.hideProfileForm();
+            this.switchProfile(profile.id);
+            this.showToast(`Welcome, ${profile.name}!`);
+        } catch (error) {
+            this.showError(error.message);
         }
     }
 
     /**
-     * Render words in the grid
+     * Hide and reset the profile form
      */
-    renderWords() {
-        const wordsGrid = this.dom.wordsGrid || document.getElementById('words-grid');
-        if (!wordsGrid) {
-            console.error('Words grid element not found');
-            return;
-        }
-        
-        if (!this.filteredWords || this.filteredWords.length === 0) {
-            wordsGrid.innerHTML = '<p class="no-words">No words found matching your criteria.</p>';
-            return;
+    hideProfileForm() {
+        const form = document.getElementById('profile-form');
+        const addBtn = document.getElementById('add-profile-btn');
+        if (form) {
+            form.reset();
+            form.style.display = 'none';
         }
+        if (addBtn) addBtn.style.display = '';
+    }
 
-        // Clear loading state
-        wordsGrid.innerHTML = '';
-        
-        // Build document fragment for efficiency
-        const frag = document.createDocumentFragment();
-        this.filteredWords.forEach(wordObj => {
-            const wordBtn = this.createWordButton(wordObj);
-            frag.appendChild(wordBtn);
-        });
-        wordsGrid.appendChild(frag);
+    /**
+     * Remove a profile and its stored progress after confirmation
+     */
+    removeProfile(profileId) {
+        const profile = this.profiles.getProfile(profileId);
+        if (!profile) return;
+        if (!window.confirm(`Remove ${profile.name} and all of their progress?`)) return;
+
+        new ProgressStore(undefined, ProgressStore.keyForProfile(profileId)).clear();
+        this.profiles.deleteProfile(profileId);
+        if (this.activeProfile && this.activeProfile.id === profileId) {
+            this.switchProfile(null);
+        } else {
+            this.renderProfilePicker();
+        }
     }
 
     /**
-     * Create a word button element
+     * Show the active profile in the nav bar
+     */
+    renderProfileBadge() {
+        const navList = document.querySelector('nav ul');
+        if (!navList) return;
+
+        let badge = document.getElementById('profile-badge');
+        if (!this.activeProfile) {
+            if (badge) badge.parentElement.remove();
+            return;
+        }
+
+        if (!badge) {
+            const item = document.createElement('li');
+            badge = document.createElement('a');
+            badge.id = 'profile-badge';
+            badge.className = 'profile-badge';
+            badge.href = 'index.html#/';
+            item.appendChild(badge);
+            navList.appendChild(item);
+        }
+        badge.textContent = `${this.activeProfile.avatar} ${this.activeProfile.name}`;
+        badge.title = 'Switch child profile';
+    }
+
+
+    /**
+     * Setup filter options in dropdown
+     */
+    setupFilterOptions() {
+        const filterSelect = document.getElementById('filter-select');
+        if (!filterSelect) return;
+
+        const categories = this.getUniqueCategories();
+        filterSelect.innerHTML = '';
+        filterSelect.appendChild(new Option(this.t('allWords'), 'all'));
+        
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = this.formatCategoryName(category);
+            filterSelect.appendChild(option);
+        });
+
+        // Teacher-made lists, as "list:<id>"
+        const lists = this.customLists.getLists(this.language);
+        if (lists.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = this.t('myLists');
+            lists.forEach(list => group.appendChild(new Option(`📝 ${list.name}`, `list:${list.id}`)));
+            filterSelect.appendChild(group);
+        }
+    }
+
+    /**
+     * Turn a filter value ('all', a category or 'list:<id>') into URL query values
+     */
+    getFilterParams(filter) {
+        if (filter.startsWith('list:')) return { list: filter.slice('list:'.length) };
+        return { category: filter === 'all' ? '' : filter };
+    }
+
+    /**
+     * Get a teacher-made list for the current language (null if missing)
+     */
+    getCustomList(id) {
+        const list = id ? this.customLists.getList(id) : null;
+        return list && list.language === this.language ? list : null;
+    }
+
+    /**
+     * Get a list's word objects (bundled entries where the word list has them)
+     */
+    getListWords(list) {
+        return list.words.map(entry => this.wordLookup.get(entry.word) || entry);
+    }
+
+    /**
+     * Make words that only exist in teacher-made lists clickable and reviewable
+     */
+    indexListWords() {
+        this.customLists.getLists(this.language).forEach(list => {
+            list.words.forEach(entry => {
+                if (!this.wordLookup.has(entry.word)) this.wordLookup.set(entry.word, entry);
+            });
+        });
+    }
+
+    /**
+     * Get unique categories from words
+     */
+    getUniqueCategories() {
+        const categories = new Set();
+        this.words.forEach(word => {
+            categories.add(word.category);
+        });
+        return Array.from(categories).sort();
+    }
+
+    /**
+     * Format category name for display (labels come from the language pack)
+     */
+    formatCategoryName(category, language = this.language) {
+        const label = LanguagePacks.get(language).categoryLabels[category];
+        return label || category.charAt(0).toUpperCase() + category.slice(1).replace(/_/g, ' ');
+    }
+
+    /**
+     * Search words based on input (kept in the URL as ?q=)
+     */
+    searchWords(searchTerm) {
+        // One history entry per search, not per keystroke
+        const isSearching = Boolean(this.wordView && this.wordView.q);
+        this.setWordView({ ...this.getFilterParams(this.currentFilter), q: searchTerm.trim() }, { replace: isSearching });
+    }
+
+    /**
+     * Filter words by category or teacher-made list (kept in the URL as ?category= or ?list=)
+     */
+    filterWords(filter) {
+        const searchTerm = document.getElementById('search-bar')?.value || '';
+        this.setWordView({ ...this.getFilterParams(filter), q: searchTerm.trim() });
+    }
+
+    /**
+     * Render words in the grid
+     */
+    renderWords() {
+        const wordsGrid = this.dom.wordsGrid || document.getElementById('words-grid');
+        if (!wordsGrid) {
+            console.error('Words grid element not found');
+            return;
+        }
+        
+        if (!this.filteredWords || this.filteredWords.length === 0) {
+            wordsGrid.innerHTML = '<p class="no-words">No words found matching your criteria.</p>';
+            return;
+        }
+
+        // Clear loading state
+        wordsGrid.innerHTML = '';
+        
+        // Build document fragment for efficiency
+        const frag = document.createDocumentFragment();
+        this.filteredWords.forEach(wordObj => {
+            frag.appendChild(this.createWordCard(wordObj));
+        });
+        wordsGrid.appendChild(frag);
+        if (this.gridNavigator) this.gridNavigator.refresh();
+    }
+
+    /**
+     * Create a word's grid card: its word button and a "sound it out" button
+     */
+    createWordCard(wordObj) {
+        const card = document.createElement('div');
+        card.className = 'word-card';
+        card.appendChild(this.createWordButton(wordObj));
+
+        if (wordObj && wordObj.word) {
+            const soundOutBtn = document.createElement('button');
+            soundOutBtn.type = 'button';
+            soundOutBtn.className = 'sound-out-btn';
+            soundOutBtn.dataset.soundOut = wordObj.word;
+            soundOutBtn.setAttribute('aria-label', `${this.t('soundOutLabel')} ${wordObj.word}`);
+            soundOutBtn.title = this.t('soundOutLabel');
+            soundOutBtn.textContent = '🐢';
+            card.appendChild(soundOutBtn);
+        }
+        return card;
+    }
+
+    /**
+     * Create a word button element
      */
     createWordButton(wordObj) {
         if (!wordObj || !wordObj.word) {
@@ -328,6 +1102,13 @@ class WordLearningApp {
         const button = document.createElement('button');
         button.className = 'word-btn';
         button.dataset.word = wordObj.word;
+
+        // Picture above the word (decorative here: the word itself is the label)
+        const picture = this.createPicture(wordObj);
+        if (picture) {
+            button.appendChild(picture);
+            button.classList.add('has-picture');
+        }
         
         // Create word text element
         const wordSpan = document.createElement('span');
@@ -342,6 +1123,18 @@ class WordLearningApp {
         // Add both to button
         button.appendChild(wordSpan);
         button.appendChild(phonicsSpan);
+
+        // Bilingual card: the word in the other language underneath
+        const translation = this.isShowingTranslations() ? this.getTranslation(wordObj.word) : null;
+        if (translation) {
+            const partner = LanguagePacks.get(this.getTranslationLanguage());
+            const translationSpan = document.createElement('span');
+            translationSpan.className = 'word-translation';
+            translationSpan.lang = partner.locale;
+            translationSpan.textContent = `${partner.flag || ''} ${translation}`.trim();
+            button.appendChild(translationSpan);
+            button.classList.add('bilingual');
+        }
         
         // Add clicked class if this is the current word
         if (this.currentWord && this.currentWord.word === wordObj.word) {
@@ -351,6 +1144,54 @@ class WordLearningApp {
         return button;
     }
 
+    /**
+     * Get a word's image path if it is a local file (remote images would break offline use)
+     */
+    getImageSource(wordObj) {
+        return WordValidator.isLocalPath(wordObj.image) ? wordObj.image.trim() : null;
+    }
+
+    /**
+     * Check if a word has a picture (image or emoji)
+     */
+    hasPicture(wordObj) {
+        return Boolean(this.getImageSource(wordObj) || wordObj.emoji);
+    }
+
+    /**
+     * Create a word's picture: its image (lazy loaded) or emoji. Without alt text the
+     * picture is decorative. Returns null for words without a picture.
+     */
+    createPicture(wordObj, alt = '') {
+        const src = this.getImageSource(wordObj);
+        if (src) {
+            const img = document.createElement('img');
+            img.className = 'word-picture';
+            img.src = src;
+            img.alt = alt;
+            img.setAttribute('loading', 'lazy');
+            img.setAttribute('decoding', 'async');
+            // Missing file: fall back to the emoji (or nothing)
+            img.onerror = () => {
+                const fallback = wordObj.emoji ? this.createPicture({ emoji: wordObj.emoji }, alt) : null;
+                if (fallback) img.replaceWith(fallback); else img.remove();
+            };
+            return img;
+        }
+
+        if (!wordObj.emoji) return null;
+        const emoji = document.createElement('span');
+        emoji.className = 'word-emoji';
+        emoji.textContent = wordObj.emoji;
+        if (alt) {
+            emoji.setAttribute('role', 'img');
+            emoji.setAttribute('aria-label', alt);
+        } else {
+            emoji.setAttribute('aria-hidden', 'true');
+        }
+        return emoji;
+    }
+
     /**
      * Handle delegated word button selection without full re-render
      */
@@ -363,113 +1204,338 @@ class WordLearningApp {
         // Set new current word
         this.currentWord = wordObj;
         buttonEl.classList.add('clicked');
-        this.speakWord(wordObj);
+        if (buttonEl.classList.contains('bilingual')) {
+            this.speakBilingual(wordObj);
+        } else {
+            this.speakWord(wordObj);
+        }
         this.addToClickedWords(wordObj.word);
+        this.updateReviewButton();
     }
 
     /**
-     * Speak a word using Web Speech API
+     * Say a word: its recorded clip or audio file if it has one, otherwise the Web Speech
+     * API voice (also used when the audio can't be played)
      */
     speakWord(wordObj) {
+        this.stopSpeaking();
+
+        if (this.hasWordAudio(wordObj)) {
+            this.playWordAudio(wordObj).then(played => {
+                if (played === false) this.speakText(wordObj.word);
+            });
+            return;
+        }
+        this.speakText(wordObj.word);
+    }
+
+    /**
+     * Speak text with the Web Speech API in a language's voice
+     */
+    speakText(text, language = this.language) {
+        if (!this.synth) {
+            console.warn('Speech synthesis not supported');
+            return;
+        }
+        this.synth.speak(this.createUtterance(text, language));
+    }
+
+    /**
+     * Stop whatever is being said: speech, a sound-out or an audio clip
+     */
+    stopSpeaking() {
+        if (this.synth) this.synth.cancel();
+        this.stopSoundOut();
+        this.audioRequest++; // A clip still loading won't start
+        this.stopAudio();
+    }
+
+    /**
+     * Load which words have a recorded clip in a language (clips are optional: errors are logged)
+     */
+    async loadClipWords(language = this.language) {
+        if (!this.clips.isSupported()) return;
+        try {
+            this.clipWords.set(language, new Set(await this.clips.getWords(language)));
+        } catch (error) {
+            console.error('Error loading recorded clips:', error);
+        }
+    }
+
+    /**
+     * Check if a word has a recorded clip
+     */
+    hasRecordedClip(wordObj, language = this.language) {
+        const words = this.clipWords.get(language);
+        return Boolean(words && words.has(wordObj.word.toLowerCase()));
+    }
+
+    /**
+     * Get a word's audio file path if it is a local file (remote audio would break offline use)
+     */
+    getAudioSource(wordObj) {
+        return WordValidator.isLocalPath(wordObj.audio) ? wordObj.audio.trim() : null;
+    }
+
+    /**
+     * Check if a word has a recorded clip or an audio file
+     */
+    hasWordAudio(wordObj) {
+        return this.hasRecordedClip(wordObj) || this.getAudioSource(wordObj) !== null;
+    }
+
+    /**
+     * Play a word's recorded clip, else its audio file. Resolves with true once played,
+     * false if there is none or it can't be played, or null if another sound took over.
+     */
+    async playWordAudio(wordObj, language = this.language) {
+        const request = ++this.audioRequest;
+        let clip = null;
+        if (this.hasRecordedClip(wordObj, language)) {
+            try {
+                clip = await this.clips.get(language, wordObj.word);
+            } catch (error) {
+                console.error('Error loading recorded clip:', error);
+            }
+        }
+        if (request !== this.audioRequest) return null;
+
+        if (clip) {
+            const url = URL.createObjectURL(clip.blob);
+            const played = await this.playAudio(url);
+            URL.revokeObjectURL(url);
+            if (played !== false) return played;
+            if (request !== this.audioRequest) return null;
+        }
+
+        const src = this.getAudioSource(wordObj);
+        return src ? this.playAudio(src) : false;
+    }
+
+    /**
+     * Play an audio URL at the profile's volume. Resolves like playWordAudio.
+     */
+    playAudio(src) {
+        this.stopAudio();
+        return new Promise(resolve => {
+            const audio = new Audio(src);
+            const playing = {
+                audio,
+                finish: (played) => {
+                    if (this.currentAudio === playing) this.currentAudio = null;
+                    resolve(played);
+                }
+            };
+            this.currentAudio = playing;
+            audio.volume = this.getVoiceSettings().volume;
+            audio.onended = () => playing.finish(true);
+            audio.onerror = () => {
+                console.warn(`Could not play audio ${src.startsWith('blob:') ? 'clip' : src}`);
+                playing.finish(false);
+            };
+            const started = audio.play();
+            if (started && typeof started.catch === 'function') {
+                started.catch(() => playing.finish(false)); // e.g. autoplay blocked
+            }
+        });
+    }
+
+    /**
+     * Stop the audio clip or file playing (its playAudio promise resolves with null)
+     */
+    stopAudio() {
+        if (!this.currentAudio) return;
+        const { audio, finish } = this.currentAudio;
+        audio.pause();
+        finish(null);
+    }
+
+    /**
+     * Sound a word out: speak each phonics segment in turn (c… a… t), highlighting its
+     * letters in `textEl`, then blend them into the whole word. The first segment lights
+     * up when the voice starts it, and each segment's end event moves the highlight on,
+     * so it follows the voice rather than a timer (some voices fire start events for
+     * queued utterances early, end events only once the sound has been heard).
+     */
+    soundOut(wordObj, textEl = null) {
         if (!this.synth) {
             console.warn('Speech synthesis not supported');
             return;
         }
 
-        // Cancel any ongoing speech
-        this.synth.cancel();
+        this.stopSpeaking();
+
+        const segments = (wordObj.phonics || wordObj.word).split('-').filter(Boolean);
+        const run = { textEl: null, text: '', parts: [] };
+        // Letters can only be highlighted when the segments line up with the text shown
+        if (textEl && segments.join('').length === textEl.textContent.length) {
+            run.textEl = textEl;
+            run.text = textEl.textContent;
+            run.parts = this.showSoundOutSegments(textEl, segments);
+        }
+        this.soundOutRun = run;
+
+        segments.forEach((segment, index) => {
+            const utterance = this.createUtterance(segment);
+            utterance.rate *= 0.75; // Stretch each sound out
+            if (index === 0) utterance.onstart = () => this.highlightSoundOutPart(run, 0);
+            // Clear this segment and light the next one (or the whole word for the blend)
+            utterance.onend = () => this.highlightSoundOutPart(run, index + 1 < segments.length ? index + 1 : null);
+            this.synth.speak(utterance);
+        });
+
+        const blend = this.createUtterance(wordObj.word);
+        blend.onend = () => this.stopSoundOut(run);
+        this.synth.speak(blend);
+    }
+
+    /**
+     * Replace an element's text with one span per segment, keeping the same letters
+     */
+    showSoundOutSegments(textEl, segments) {
+        const text = textEl.textContent;
+        let start = 0;
+        textEl.textContent = '';
+        return segments.map(segment => {
+            const part = document.createElement('span');
+            part.className = 'sound-segment';
+            part.textContent = text.slice(start, start + segment.length);
+            start += segment.length;
+            textEl.appendChild(part);
+            return part;
+        });
+    }
+
+    /**
+     * Highlight the segment being spoken (null highlights the whole word for the blend)
+     */
+    highlightSoundOutPart(run, index) {
+        if (run !== this.soundOutRun || !run.textEl) return;
+        run.parts.forEach((part, i) => part.classList.toggle('speaking', i === index));
+        run.textEl.classList.toggle('blending', index === null);
+    }
+
+    /**
+     * Stop highlighting a sound-out (the current one by default) and restore the text,
+     * unless the element has been given new text since
+     */
+    stopSoundOut(run = this.soundOutRun) {
+        if (!run || run !== this.soundOutRun) return;
+        this.soundOutRun = null;
+        if (!run.textEl) return;
+
+        run.textEl.classList.remove('blending');
+        if (run.parts.length > 0 && run.parts[0].parentNode === run.textEl) {
+            run.textEl.textContent = run.text;
+        }
+    }
+
+    /**
+     * Speak a word and then its translation, each with its own language's voice
+     */
+    speakBilingual(wordObj) {
+        const translation = this.getTranslation(wordObj.word);
+        if (!this.synth || !translation) {
+            this.speakWord(wordObj);
+            return;
+        }
+
+        this.stopSpeaking();
+        const partner = this.getTranslationLanguage();
+        if (this.hasWordAudio(wordObj)) {
+            this.playWordAudio(wordObj).then(played => {
+                if (played === null) return;
+                if (played === false) this.speakText(wordObj.word);
+                this.speakText(translation, partner);
+            });
+            return;
+        }
+        this.speakText(wordObj.word);
+        this.speakText(translation, partner);
+    }
 
-        const utterance = new SpeechSynthesisUtterance(wordObj.word);
-        const voice = this.getVoice();
+    /**
+     * Create an utterance in a language's voice (the current language by default), using
+     * the profile's speech settings unless others are given (e.g. to preview them)
+     */
+    createUtterance(text, language = this.language, settings = this.getVoiceSettings()) {
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voice = this.getVoice(language, settings);
         
         if (voice) {
             utterance.voice = voice;
         }
         
         // Set language-specific properties
-        utterance.lang = this.language === 'french' ? 'fr-FR' : 'en-US';
-        utterance.rate = 0.8; // Slightly slower for learning
-        utterance.pitch = 1.1; // Slightly higher pitch for friendliness
-        utterance.volume = 1;
+        utterance.lang = LanguagePacks.get(language).locale;
+        utterance.rate = settings.rate;
+        utterance.pitch = settings.pitch;
+        utterance.volume = settings.volume;
 
         // Add error handling
         utterance.onerror = (event) => {
             console.error('Speech synthesis error:', event.error);
         };
 
-        utterance.onend = () => {
-            // Speech finished
-        };
-
-        this.synth.speak(utterance);
+        return utterance;
     }
 
 
 
     /**
-     * Add word to clicked words list (for last 20 functionality)
+     * Add word to clicked words history (for last 20 functionality)
      */
     addToClickedWords(word) {
-        // Remove if already in list
-        const index = this.clickedWords.indexOf(word);
-        if (index > -1) {
-            this.clickedWords.splice(index, 1);
-        }
-        
-        // Add to beginning
-        this.clickedWords.unshift(word);
-        
-        // Keep only last 20
-        this.clickedWords = this.clickedWords.slice(0, 20);
+        this.progress.recordHeard(this.language, word);
     }
 
     /**
      * Show random words
      */
     showRandomWords() {
-        const randomWords = this.getRandomWords(20);
-        this.filteredWords = randomWords;
-        this.renderWords();
-        
-        // Clear search and filter
-        const searchBar = document.getElementById('search-bar');
-        const filterSelect = document.getElementById('filter-select');
-        if (searchBar) searchBar.value = '';
-        if (filterSelect) filterSelect.value = 'all';
-        
+        // The seed goes in the URL so a shared link shows the same 20 words
+        this.setWordView({ view: 'random', seed: Math.floor(Math.random() * 1000000) + 1 });
         this.showToast('Showing 20 random words!');
     }
 
     /**
-     * Get random words from the collection
+     * Get random words from the collection (the same seed always picks the same words)
      */
-    getRandomWords(count) {
-        const shuffled = [...this.words].sort(() => 0.5 - Math.random());
+    getRandomWords(count, seed = Date.now()) {
+        let state = seed >>> 0;
+        const random = () => {
+            state = (state * 1664525 + 1013904223) >>> 0; // LCG: small and repeatable
+            return state / 4294967296;
+        };
+
+        const shuffled = [...this.words];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
         return shuffled.slice(0, count);
     }
 
+    /**
+     * Get word objects for the most recently clicked words
+     */
+    getLastClickedWords(count) {
+        return this.progress.getRecentWords(this.language, count)
+            .map(word => this.wordLookup.get(word))
+            .filter(Boolean);
+    }
+
     /**
      * Show last 20 clicked words
      */
     showLastClickedWords() {
-        if (this.clickedWords.length === 0) {
+        const clickedWordObjects = this.getLastClickedWords(20);
+        if (clickedWordObjects.length === 0) {
             this.showToast('No clicked words yet!');
             return;
         }
-        
-        const clickedWordObjects = this.clickedWords.map(word => 
-            this.words.find(w => w.word === word)
-        ).filter(Boolean);
-        
-        this.filteredWords = clickedWordObjects;
-        this.renderWords();
-        
-        // Clear search and filter
-        const searchBar = document.getElementById('search-bar');
-        const filterSelect = document.getElementById('filter-select');
-        if (searchBar) searchBar.value = '';
-        if (filterSelect) filterSelect.value = 'all';
-        
+
+        this.setWordView({ view: 'history' });
         this.showToast(`Showing your last ${clickedWordObjects.length} clicked words!`);
     }
 
@@ -477,59 +1543,116 @@ class WordLearningApp {
      * Show all words (reset to full collection)
      */
     showAllWords() {
-        // Reset to all words
-        this.filteredWords = [...this.words];
-        this.renderWords();
-        
-        // Clear search and reset filter
-        const searchBar = document.getElementById('search-bar');
-        const filterSelect = document.getElementById('filter-select');
-        if (searchBar) searchBar.value = '';
-        if (filterSelect) filterSelect.value = 'all';
-        this.currentFilter = 'all';
-        
+        this.setWordView({});
         this.showToast(`Showing all ${this.words.length} words!`);
     }
 
     /**
-     * Start the word game
+     * Start a game made of today's spaced-repetition review words
      */
-    startWordGame() {
-        // Guard: prevent starting a new game if one is already active (but allow restart from results screen)
-        const modal = document.getElementById('game-modal');
-        const gameResults = document.getElementById('game-results');
-        const isResultsVisible = gameResults && gameResults.style.display !== 'none';
-        
-        if (this.gameState && modal && modal.style.display === 'flex' && !isResultsVisible) {
-            return; // Game already running (but not on results screen)
+    startReviewGame() {
+        if (!this.getReviewWords(this.words.length).some(word => this.canUseWordInGame(word))) {
+            this.showToast('Nothing to review today! 🎉 Play a game to add words.');
+            return;
+        }
+        this.startWordGame({ review: true });
+    }
+
+    /**
+     * Get word objects for today's review: due words first, then recently heard new words
+     */
+    getReviewWords(limit = 10) {
+        const dueWords = this.progress.getDueWords(this.language);
+        const newWords = this.progress.getRecentWords(this.language)
+            .filter(word => {
+                const stats = this.progress.getWordStats(this.language, word);
+                return !stats || !stats.box;
+            });
+
+        return [...new Set([...dueWords, ...newWords])]
+            .map(word => this.wordLookup.get(word))
+            .filter(Boolean)
+            .slice(0, limit);
+    }
+
+    /**
+     * Show how many words are waiting on the review button
+     */
+    updateReviewButton() {
+        const countEl = document.getElementById('review-count');
+        if (!countEl || !this.wordLookup.size) return;
+
+        const count = this.getReviewWords().length;
+        countEl.textContent = count;
+        countEl.style.display = count > 0 ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Start the word game
+     */
+    startWordGame(options = {}) {
+        // Guard: prevent starting a new game if one is already active (but allow restart from results screen)
+        const modal = document.getElementById('game-modal');
+        const gameResults = document.getElementById('game-results');
+        const isResultsVisible = gameResults && gameResults.style.display !== 'none';
+        
+        if (this.gameState && modal && modal.style.display === 'flex' && !isResultsVisible) {
+            return; // Game already running (but not on results screen)
         }
         
+        this.gameOptions = options;
         this.initializeGame();
         this.showGameModal();
         this.startNewGameRound();
     }
 
+    /**
+     * Play again with the same kind of game (regular or review)
+     */
+    restartGame() {
+        if (this.gameOptions && this.gameOptions.review) {
+            this.startReviewGame();
+        } else {
+            this.startWordGame({ listId: this.gameOptions && this.gameOptions.listId });
+        }
+    }
+
     /**
      * Initialize game state
      */
     initializeGame() {
+        const settings = this.getGameSettings();
         this.gameState = {
             currentQuestion: 0,
             score: 0,
-            totalQuestions: 10,
-            timeLeft: 10,
+            totalQuestions: settings.questionCount,
+            timerSeconds: settings.timerSeconds, // 0 = untimed
+            timeLeft: settings.timerSeconds,
             timer: null,
             gameWords: [],
             currentWord: null,
             correctAnswer: '',
-            isAnswered: false
+            isAnswered: false,
+            isPaused: false,
+            pendingNextQuestion: false,
+            speechAttempt: 0, // Say-it microphone attempts so far (stale listen() results are ignored)
+            startedAt: Date.now(),
+            modeId: GameModes.get((this.gameOptions && this.gameOptions.mode) || settings.mode, this).id
         };
 
         // Create Web Audio context for sounds
         this.initializeAudio();
         
-        // Select 10 words: 5 easy, 5 hard
-        this.selectGameWords();
+        // Review games use scheduled words, regular games follow the difficulty settings
+        if (this.gameOptions && this.gameOptions.review) {
+            const reviewWords = this.getReviewWords(this.words.length).filter(word => this.canUseWordInGame(word));
+            this.gameState.gameWords = this.shuffleArray(reviewWords.slice(0, this.gameState.totalQuestions));
+        } else {
+            this.selectGameWords();
+        }
+
+        // Small word lists may not fill a full game
+        this.gameState.totalQuestions = Math.min(this.gameState.totalQuestions, this.gameState.gameWords.length);
     }
 
     /**
@@ -544,22 +1667,90 @@ class WordLearningApp {
     }
 
     /**
-     * Select words for the game (5 easy + 5 hard)
+     * Get game settings for the active profile, with defaults from its reading level
+     */
+    getGameSettings() {
+        const levelDefaults = {
+            'emerging': { questionCount: 5, timerSeconds: 20, difficulty: 'easy' },
+            'developing': { questionCount: 10, timerSeconds: 15, difficulty: 'mixed' },
+            'fluent': { questionCount: 10, timerSeconds: 10, difficulty: 'mixed' }
+        };
+        const level = this.activeProfile ? this.activeProfile.readingLevel : null;
+        const defaults = {
+            questionCount: 10,
+            timerSeconds: 10,
+            difficulty: 'mixed',
+            categories: [], // Empty = all categories
+            mode: GameModes.defaultModeId,
+            ...(levelDefaults[level] || {})
+        };
+        const profileId = this.activeProfile ? this.activeProfile.id : null;
+        return { ...defaults, ...this.profiles.getSettings(profileId, 'game') };
+    }
+
+    /**
+     * Get the game mode for the current game (or the saved setting outside a game)
+     */
+    getGameMode() {
+        return GameModes.get(this.gameState ? this.gameState.modeId : this.getGameSettings().mode, this);
+    }
+
+    /**
+     * Check if the current game mode can use a word (e.g. rhyme needs a rhyming partner)
+     */
+    canUseWordInGame(word) {
+        const mode = this.getGameMode();
+        return !mode.canUseWord || mode.canUseWord(this, word);
+    }
+
+    /**
+     * Save game settings for the active profile
+     */
+    saveGameSettings(values) {
+        const profileId = this.activeProfile ? this.activeProfile.id : null;
+        this.profiles.updateSettings(profileId, 'game', values);
+    }
+
+    /**
+     * Check if a word counts as easy (simple pattern or 3 letters or fewer)
+     */
+    isEasyWord(word) {
+        return word.category === 'simple' || word.word.length <= 3;
+    }
+
+    /**
+     * Select words for the game from the chosen categories and difficulty mix
      */
     selectGameWords() {
-        const easyWords = this.words.filter(word => 
-            word.category === 'simple' && word.word.length <= 3
-        );
-        const hardWords = this.words.filter(word => 
-            ['digraph', 'blend', 'trigraph', 'vowel_team'].includes(word.category)
-        );
+        const settings = this.getGameSettings();
+        const total = this.gameState.totalQuestions;
+        // A teacher-made list replaces the category settings
+        const list = this.getCustomList(this.gameOptions && this.gameOptions.listId);
+        let pool = this.words;
+        if (list) {
+            pool = this.getListWords(list);
+        } else if (settings.categories.length > 0) {
+            pool = this.words.filter(word => settings.categories.includes(word.category));
+        }
+        pool = pool.filter(word => this.canUseWordInGame(word));
+
+        const easyWords = pool.filter(word => this.isEasyWord(word));
+        const hardWords = pool.filter(word => !this.isEasyWord(word));
+        const easyShare = { 'easy': 1, 'mixed': 0.5, 'hard': 0 }[settings.difficulty] ?? 0.5;
+        const easyCount = Math.round(total * easyShare);
 
         // Shuffle and select
-        const selectedEasy = this.shuffleArray([...easyWords]).slice(0, 5);
-        const selectedHard = this.shuffleArray([...hardWords]).slice(0, 5);
+        const selectedEasy = this.shuffleArray(easyWords).slice(0, easyCount);
+        const selectedHard = this.shuffleArray(hardWords).slice(0, total - selectedEasy.length);
+        let selected = [...selectedEasy, ...selectedHard];
+
+        // Top up from the rest of the pool when one side runs short
+        if (selected.length < total) {
+            const rest = this.shuffleArray(pool.filter(word => !selected.includes(word)));
+            selected = [...selected, ...rest.slice(0, total - selected.length)];
+        }
         
-        this.gameState.gameWords = [...selectedEasy, ...selectedHard];
-        this.gameState.gameWords = this.shuffleArray(this.gameState.gameWords);
+        this.gameState.gameWords = this.shuffleArray(selected);
     }
 
     /**
@@ -581,15 +1772,10 @@ class WordLearningApp {
         const modal = document.getElementById('game-modal');
         if (modal) {
             modal.style.display = 'flex';
+            this.updateGameTitle();
             
             // Ensure header elements are visible (in case they were hidden on results screen)
-            const scoreElement = document.querySelector('.score');
-            const timerElement = document.querySelector('.timer');
-            const closeButton = document.getElementById('close-game');
-            
-            if (scoreElement) scoreElement.style.display = 'block';
-            if (timerElement) timerElement.style.display = 'block';
-            if (closeButton) closeButton.style.display = 'block';
+            this.showGameHeader();
             
             this.setupGameEventListeners();
             // Accessibility: focus management
@@ -603,6 +1789,50 @@ class WordLearningApp {
         }
     }
 
+    /**
+     * Show the current game mode's title in the modal header
+     */
+    updateGameTitle() {
+        const title = document.querySelector('.game-header h2');
+        if (!title) return;
+        const mode = this.getGameMode();
+        title.textContent = `${mode.icon} ${this.localize(mode.titles)}`;
+    }
+
+    /**
+     * Render "try another game" buttons on the results screen
+     */
+    renderModePicker() {
+        const picker = document.getElementById('mode-picker');
+        if (!picker) return;
+
+        picker.innerHTML = '';
+        GameModes.list(this).forEach(mode => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = mode.id === this.gameState.modeId ? 'btn mode-btn active' : 'btn mode-btn';
+            btn.textContent = `${mode.icon} ${this.localize(mode.titles)}`;
+            btn.onclick = () => {
+                this.saveGameSettings({ mode: mode.id });
+                this.restartGame();
+            };
+            picker.appendChild(btn);
+        });
+    }
+
+    /**
+     * Show score, timer (timed games only) and close button in the game header
+     */
+    showGameHeader() {
+        const scoreElement = document.querySelector('.score');
+        const timerElement = document.querySelector('.timer');
+        const closeButton = document.getElementById('close-game');
+        
+        if (scoreElement) scoreElement.style.display = 'block';
+        if (timerElement) timerElement.style.display = this.gameState.timerSeconds ? 'block' : 'none';
+        if (closeButton) closeButton.style.display = 'block';
+    }
+
     /**
      * Setup game event listeners
      */
@@ -620,6 +1850,22 @@ class WordLearningApp {
             listenBtn.onclick = () => this.speakCurrentGameWord();
         }
 
+        // Sound it out button
+        const soundOutBtn = document.getElementById('sound-out-btn');
+        if (soundOutBtn) {
+            soundOutBtn.onclick = () => {
+                if (this.gameState.currentWord) {
+                    this.soundOut(this.gameState.currentWord, document.getElementById('game-word'));
+                }
+            };
+        }
+
+        // Microphone button (say-it mode)
+        const micBtn = document.getElementById('mic-btn');
+        if (micBtn) {
+            micBtn.onclick = () => this.startSpeechAttempt();
+        }
+
         // Letter option buttons
         const letterOptions = document.querySelectorAll('.letter-option');
         letterOptions.forEach(btn => {
@@ -630,8 +1876,8 @@ class WordLearningApp {
         // Play again button
         const playAgainBtn = document.getElementById('play-again-btn');
         if (playAgainBtn) {
-            playAgainBtn.onclick = () => this.startWordGame();
-            playAgainBtn.onkeydown = (e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); this.startWordGame(); } };
+            playAgainBtn.onclick = () => this.restartGame();
+            playAgainBtn.onkeydown = (e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); this.restartGame(); } };
         }
 
         // Close results button
@@ -640,6 +1886,124 @@ class WordLearningApp {
             closeResultsBtn.onclick = () => this.closeGame();
             closeResultsBtn.onkeydown = (e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); this.closeGame(); } };
         }
+
+        // Settings buttons (header and results screen)
+        ['game-settings-btn', 'results-settings-btn'].forEach(id => {
+            const settingsBtn = document.getElementById(id);
+            if (settingsBtn) settingsBtn.onclick = () => this.openGameSettings();
+        });
+
+        const settingsForm = document.getElementById('game-settings-form');
+        if (settingsForm) {
+            settingsForm.onsubmit = (e) => {
+                e.preventDefault();
+                this.applyGameSettingsForm();
+            };
+        }
+
+        const cancelSettingsBtn = document.getElementById('cancel-settings-btn');
+        if (cancelSettingsBtn) {
+            cancelSettingsBtn.onclick = () => this.closeGameSettings();
+        }
+    }
+
+    /**
+     * Show the settings screen in the game modal (pauses the current round)
+     */
+    openGameSettings() {
+        const panel = document.getElementById('game-settings');
+        if (!panel || !this.gameState) return;
+
+        clearInterval(this.gameState.timer);
+        this.gameState.isPaused = true;
+
+        const results = document.getElementById('game-results');
+        this.gameState.settingsReturnView = results && results.style.display !== 'none' ? 'results' : 'game';
+
+        // Fill the form with the current settings
+        const settings = this.getGameSettings();
+        const modeSelect = document.getElementById('setting-mode');
+        if (modeSelect) {
+            modeSelect.innerHTML = '';
+            GameModes.list(this).forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode.id;
+                option.textContent = `${mode.icon} ${this.localize(mode.titles)}`;
+                modeSelect.appendChild(option);
+            });
+            modeSelect.value = this.gameState.modeId;
+        }
+        document.getElementById('setting-question-count').value = String(settings.questionCount);
+        document.getElementById('setting-timer').value = String(settings.timerSeconds);
+        document.getElementById('setting-difficulty').value = settings.difficulty;
+
+        const categoryBox = document.getElementById('setting-categories');
+        if (categoryBox) {
+            categoryBox.querySelectorAll('.settings-category').forEach(el => el.remove());
+            this.getUniqueCategories().forEach(category => {
+                const label = document.createElement('label');
+                label.className = 'settings-category';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = category;
+                checkbox.checked = settings.categories.includes(category);
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(` ${this.formatCategoryName(category)}`));
+                categoryBox.appendChild(label);
+            });
+        }
+
+        document.querySelector('.game-content').style.display = 'none';
+        if (results) results.style.display = 'none';
+        panel.style.display = 'block';
+        (modeSelect || document.getElementById('setting-question-count')).focus();
+    }
+
+    /**
+     * Save the settings form and start a fresh game with it
+     */
+    applyGameSettingsForm() {
+        const categories = Array.from(document.querySelectorAll('#setting-categories input:checked'))
+            .map(input => input.value);
+
+        this.saveGameSettings({
+            questionCount: parseInt(document.getElementById('setting-question-count').value, 10) || 10,
+            timerSeconds: parseInt(document.getElementById('setting-timer').value, 10) || 0,
+            difficulty: document.getElementById('setting-difficulty').value,
+            categories,
+            mode: document.getElementById('setting-mode')?.value || GameModes.defaultModeId
+        });
+        // A saved mode choice replaces any one-off mode for this game
+        if (this.gameOptions) delete this.gameOptions.mode;
+
+        document.getElementById('game-settings').style.display = 'none';
+        clearInterval(this.gameState.timer);
+        this.initializeGame();
+        this.showGameHeader();
+        this.updateGameTitle();
+        this.startNewGameRound();
+    }
+
+    /**
+     * Leave the settings screen without saving and resume where the child was
+     */
+    closeGameSettings() {
+        document.getElementById('game-settings').style.display = 'none';
+        if (!this.gameState) return;
+
+        this.gameState.isPaused = false;
+        if (this.gameState.settingsReturnView === 'results') {
+            document.getElementById('game-results').style.display = 'block';
+            return;
+        }
+
+        document.querySelector('.game-content').style.display = 'block';
+        if (this.gameState.pendingNextQuestion) {
+            this.gameState.pendingNextQuestion = false;
+            this.nextQuestion();
+        } else if (!this.gameState.isAnswered) {
+            this.startTimer();
+        }
     }
 
     /**
@@ -653,93 +2017,216 @@ class WordLearningApp {
 
         this.gameState.currentWord = this.gameState.gameWords[this.gameState.currentQuestion];
         this.gameState.isAnswered = false;
-        this.gameState.timeLeft = 10;
+        this.gameState.timeLeft = this.gameState.timerSeconds;
 
-        this.generateWordPuzzle();
+        const mode = this.getGameMode();
+        mode.prepareRound(this);
         this.updateGameUI();
         this.startTimer();
-        this.speakCurrentGameWord();
+        if (mode.speakOnStart !== false) {
+            this.speakCurrentGameWord();
+        }
+    }
+
+    /**
+     * Get the phonics model (graphemes and confusable letters) for the current language
+     */
+    getPhonicsModel() {
+        return this.getLanguagePack().phonics;
+    }
+
+    /**
+     * Find words that look alike (same length, shared letters) for use as distractors
+     */
+    findSimilarWords(wordObj, count, filter = () => true) {
+        const target = wordObj.word.toLowerCase();
+        const scored = this.words
+            .filter(w => w.word.toLowerCase() !== target && filter(w))
+            .map(w => {
+                const candidate = w.word.toLowerCase();
+                let shared = 0;
+                for (let i = 0; i < Math.min(candidate.length, target.length); i++) {
+                    if (candidate[i] === target[i]) shared++;
+                }
+                const lengthGap = Math.abs(candidate.length - target.length);
+                return { word: w, score: shared - lengthGap + Math.random() };
+            })
+            .sort((a, b) => b.score - a.score);
+
+        // Pick from the closest few so rounds don't repeat the same distractors
+        const unique = [];
+        scored.forEach(({ word }) => {
+            if (!unique.some(w => w.word.toLowerCase() === word.word.toLowerCase())) unique.push(word);
+        });
+        return this.shuffleArray(unique.slice(0, count * 3)).slice(0, count);
+    }
+
+    /**
+     * Get the spelling of a word's rhyming part for the current language
+     */
+    getRimeKey(word) {
+        const match = word.toLowerCase().match(this.getPhonicsModel().rimePattern);
+        return match ? match[0] : word.toLowerCase();
+    }
+
+    /**
+     * Get other words from the list that rhyme with a word
+     */
+    getRhymes(wordObj) {
+        if (!this.rimeIndex) {
+            this.rimeIndex = new Map();
+            this.words.forEach(w => {
+                const key = this.getRimeKey(w.word);
+                if (!this.rimeIndex.has(key)) this.rimeIndex.set(key, []);
+                this.rimeIndex.get(key).push(w);
+            });
+        }
+
+        const target = wordObj.word.toLowerCase();
+        return (this.rimeIndex.get(this.getRimeKey(wordObj.word)) || [])
+            .filter(w => w.word.toLowerCase() !== target);
     }
 
     /**
      * Generate word puzzle with missing letters
      */
     generateWordPuzzle() {
-        const word = this.gameState.currentWord.word.toUpperCase();
+        const wordObj = this.gameState.currentWord;
+        const word = wordObj.word.toUpperCase();
+        const model = this.getPhonicsModel();
         let missingPart = '';
-        let displayWord = '';
+        let position = -1;
+        let kind = null;
+
+        // Best: blank the phonics segment that carries the word's category pattern
+        const target = this.findPhonicsTarget(wordObj);
+        if (target) {
+            missingPart = target.segment;
+            position = target.position;
+            kind = wordObj.category;
+        }
 
-        // Smart missing letter logic based on word category
-        if (word.length <= 3) {
-            // For 3-letter words, remove middle or last letter
-            const position = Math.random() > 0.5 ? 1 : 2;
-            missingPart = word[position];
-            displayWord = word.substring(0, position) + '_' + word.substring(position + 1);
-        } else {
-            // For longer words, try to remove digraphs/blends
-            const digraphs = ['SH', 'CH', 'TH', 'PH', 'WH'];
-            const blends = ['ST', 'SP', 'SK', 'SM', 'SN', 'SL', 'SW', 'SC'];
-            
-            let found = false;
-            
-            // Check for digraphs first
-            for (const digraph of digraphs) {
-                const index = word.indexOf(digraph);
-                if (index !== -1) {
-                    missingPart = digraph;
-                    displayWord = word.substring(0, index) + '_'.repeat(digraph.length) + word.substring(index + digraph.length);
-                    found = true;
-                    break;
-                }
-            }
-            
-            // If no digraph found, check for blends
-            if (!found) {
-                for (const blend of blends) {
-                    const index = word.indexOf(blend);
-                    if (index !== -1) {
-                        missingPart = blend;
-                        displayWord = word.substring(0, index) + '_'.repeat(blend.length) + word.substring(index + blend.length);
-                        found = true;
-                        break;
-                    }
-                }
+        // Otherwise blank a whole grapheme (digraph, blend, vowel team, nasal...)
+        for (const grapheme of position === -1 ? model.graphemes : []) {
+            const index = word.indexOf(grapheme);
+            if (index !== -1 && grapheme.length < word.length) {
+                missingPart = grapheme;
+                position = index;
+                break;
             }
-            
-            // Fallback: remove random letter
-            if (!found) {
-                const position = Math.floor(Math.random() * word.length);
-                missingPart = word[position];
-                displayWord = word.substring(0, position) + '_' + word.substring(position + 1);
+        }
+
+        // Then a marked letter such as an accent or cedilla
+        if (position === -1) {
+            const index = [...word].findIndex(letter => model.markedLetters.includes(letter));
+            if (index !== -1) {
+                missingPart = word[index];
+                position = index;
             }
         }
 
+        // Fallback: remove middle or last letter of short words, a random letter otherwise
+        if (position === -1) {
+            position = word.length <= 3 ?
+                (Math.random() > 0.5 ? 1 : 2) :
+                Math.floor(Math.random() * word.length);
+            position = Math.min(position, word.length - 1);
+            missingPart = word[position];
+        }
+
+        const displayWord = word.substring(0, position) + '_'.repeat(missingPart.length) + word.substring(position + missingPart.length);
+
         this.gameState.correctAnswer = missingPart;
         this.gameState.displayWord = displayWord;
-        this.generateLetterOptions(missingPart);
+        this.gameState.blankPosition = position;
+        this.generateLetterOptions(missingPart, kind);
+    }
+
+    /**
+     * Find the phonics segment to blank for a word's category (null if none fits)
+     */
+    findPhonicsTarget(wordObj) {
+        if (!wordObj.phonics) return null;
+
+        const pattern = this.getPhonicsModel().categoryTargets[wordObj.category];
+        const segments = wordObj.phonics.toLowerCase().split('-');
+
+        // Segments must spell the word exactly (some entries leave out silent letters)
+        if (!pattern || segments.length < 2 || segments.join('') !== wordObj.word.toLowerCase()) {
+            return null;
+        }
+
+        const candidates = [];
+        let offset = 0;
+        segments.forEach(segment => {
+            if (pattern.test(segment)) {
+                candidates.push({ segment: segment.toUpperCase(), position: offset });
+            }
+            offset += segment.length;
+        });
+
+        return candidates.length > 0 ? candidates[Math.floor(Math.random() * candidates.length)] : null;
+    }
+
+    /**
+     * Get all segments of one kind (category pattern) across the word list, uppercased
+     */
+    getSegmentInventory(category) {
+        if (!this.segmentInventory) this.segmentInventory = new Map();
+        if (this.segmentInventory.has(category)) return this.segmentInventory.get(category);
+
+        const pattern = this.getPhonicsModel().categoryTargets[category];
+        const inventory = new Set();
+        if (pattern) {
+            this.words.forEach(wordObj => {
+                if (wordObj.category !== category || !wordObj.phonics) return;
+                const segments = wordObj.phonics.toLowerCase().split('-');
+                if (segments.length < 2) return; // A lone segment is the whole word
+                segments.forEach(segment => {
+                    if (pattern.test(segment)) inventory.add(segment.toUpperCase());
+                });
+            });
+        }
+
+        this.segmentInventory.set(category, inventory);
+        return inventory;
+    }
+
+    /**
+     * Check if putting an option in the blank spells a different word from the list
+     */
+    spellsOtherWord(option) {
+        const { displayWord, blankPosition, correctAnswer } = this.gameState;
+        if (option === correctAnswer || blankPosition === undefined || blankPosition < 0) return false;
+
+        const candidate = displayWord.substring(0, blankPosition) + option +
+            displayWord.substring(blankPosition + correctAnswer.length);
+        return this.wordLookup.has(candidate.toLowerCase());
     }
 
     /**
      * Generate 4 letter options (1 correct + 3 wrong)
      */
-    generateLetterOptions(correctAnswer) {
+    generateLetterOptions(correctAnswer, kind = null) {
         const options = [correctAnswer];
         
         // Generate similar wrong options
-        const wrongOptions = this.generateSimilarLetters(correctAnswer);
+        const wrongOptions = this.generateSimilarLetters(correctAnswer, kind)
+            .filter(option => !this.spellsOtherWord(option));
         
-        // Add 3 wrong options
+        // Add 3 wrong options (already shuffled, best candidates first)
         while (options.length < 4 && wrongOptions.length > 0) {
-            const randomWrong = wrongOptions.splice(Math.floor(Math.random() * wrongOptions.length), 1)[0];
-            if (!options.includes(randomWrong)) {
-                options.push(randomWrong);
+            const nextWrong = wrongOptions.shift();
+            if (!options.includes(nextWrong)) {
+                options.push(nextWrong);
             }
         }
         
-        // Fill remaining slots if needed
+        // Fill remaining slots from the language's alphabet if needed
+        const alphabet = this.getPhonicsModel().alphabet;
         while (options.length < 4) {
-            const randomLetter = String.fromCharCode(65 + Math.floor(Math.random() * 26));
-            if (!options.includes(randomLetter)) {
+            const randomLetter = alphabet[Math.floor(Math.random() * alphabet.length)];
+            if (!options.includes(randomLetter) && !this.spellsOtherWord(randomLetter)) {
                 options.push(randomLetter);
             }
         }
@@ -748,49 +2235,23 @@ class WordLearningApp {
     }
 
     /**
-     * Generate similar letters for wrong options
-     */
-    generateSimilarLetters(correctAnswer) {
-        const similar = {
-            'A': ['E', 'I', 'O'],
-            'B': ['D', 'P', 'R'],
-            'C': ['G', 'O', 'Q'],
-            'D': ['B', 'O', 'P'],
-            'E': ['A', 'F', 'I'],
-            'F': ['E', 'P', 'T'],
-            'G': ['C', 'O', 'Q'],
-            'H': ['N', 'R', 'K'],
-            'I': ['A', 'E', 'L'],
-            'J': ['I', 'L', 'T'],
-            'K': ['H', 'R', 'X'],
-            'L': ['I', 'J', 'T'],
-            'M': ['N', 'H', 'W'],
-            'N': ['M', 'H', 'R'],
-            'O': ['C', 'G', 'Q'],
-            'P': ['B', 'D', 'F'],
-            'Q': ['C', 'G', 'O'],
-            'R': ['B', 'H', 'K'],
-            'S': ['C', 'G', 'Z'],
-            'T': ['F', 'J', 'L'],
-            'U': ['V', 'W', 'Y'],
-            'V': ['U', 'W', 'Y'],
-            'W': ['M', 'U', 'V'],
-            'X': ['K', 'Y', 'Z'],
-            'Y': ['U', 'V', 'X'],
-            'Z': ['S', 'X', 'Y'],
-            // Digraphs
-            'SH': ['CH', 'TH', 'PH'],
-            'CH': ['SH', 'TH', 'PH'],
-            'TH': ['SH', 'CH', 'PH'],
-            'PH': ['SH', 'CH', 'TH'],
-            'WH': ['SH', 'CH', 'TH'],
-            'ST': ['SP', 'SK', 'SM'],
-            'SP': ['ST', 'SK', 'SM'],
-            'SK': ['ST', 'SP', 'SM'],
-            'SM': ['ST', 'SP', 'SK']
-        };
-        
-        return similar[correctAnswer] || ['X', 'Y', 'Z'];
+     * Generate similar letters for wrong options, best candidates first:
+     * segments of the same kind, then confusable letters, then graphemes of the same length
+     */
+    generateSimilarLetters(correctAnswer, kind = null) {
+        const model = this.getPhonicsModel();
+        const sameKind = kind ? [...this.getSegmentInventory(kind)] : [];
+        const confusables = model.confusables[correctAnswer] || [];
+        const sameLength = model.graphemes.filter(g => g.length === correctAnswer.length);
+
+        const candidates = [
+            ...this.shuffleArray(sameKind),
+            ...this.shuffleArray(confusables),
+            ...this.shuffleArray(sameLength)
+        ].filter(option => option !== correctAnswer);
+        const unique = [...new Set(candidates)];
+
+        return unique.length > 0 ? unique : ['X', 'Y', 'Z'];
     }
 
     /**
@@ -804,24 +2265,227 @@ class WordLearningApp {
         // Update timer
         document.getElementById('game-timer').textContent = this.gameState.timeLeft;
         
-        // Update word display
-        document.getElementById('game-word').textContent = this.gameState.displayWord;
+        // Update word display and the mode's instructions
+        const mode = this.getGameMode();
+        this.stopSoundOut();
+        this.renderGameWord();
+        const picture = document.getElementById('game-picture');
+        if (picture) {
+            const wordObj = this.gameState.currentWord;
+            const clue = mode.showPicture ? this.createPicture(wordObj, wordObj.alt || this.t('pictureClue')) : null;
+            picture.innerHTML = '';
+            if (clue) picture.appendChild(clue);
+            picture.hidden = !clue;
+        }
+        const prompt = document.getElementById('game-prompt');
+        if (prompt) {
+            prompt.textContent = mode.prompts ? this.localize(mode.prompts) : '';
+        }
         
-        // Update letter options
-        const letterButtons = document.querySelectorAll('.letter-option');
-        letterButtons.forEach((btn, index) => {
-            btn.textContent = this.gameState.letterOptions[index];
-            btn.dataset.letter = this.gameState.letterOptions[index];
-            btn.className = 'letter-option'; // Reset classes
-            btn.disabled = false;
-        });
+        // Update letter options (letter buttons or word cards) or letter tiles
+        const optionsContainer = document.querySelector('.letter-options');
+        const tilesContainer = document.getElementById('letter-tiles');
+        const speakControls = document.getElementById('speak-controls');
+        const usesOptions = mode.layout === 'letters' || mode.layout === 'words';
+        if (optionsContainer) optionsContainer.style.display = usesOptions ? '' : 'none';
+        if (tilesContainer) tilesContainer.style.display = mode.layout === 'tiles' ? '' : 'none';
+        if (speakControls) speakControls.style.display = mode.layout === 'speak' ? '' : 'none';
+
+        if (mode.layout === 'tiles') {
+            this.renderLetterTiles();
+        } else if (mode.layout === 'speak') {
+            this.gameState.isListening = false; // An earlier round's listen() no longer counts
+            this.setMicButtonListening(false);
+        } else {
+            const letterButtons = document.querySelectorAll('.letter-option');
+            letterButtons.forEach((btn, index) => {
+                btn.textContent = this.gameState.letterOptions[index];
+                btn.dataset.letter = this.gameState.letterOptions[index];
+                btn.className = mode.layout === 'words' ? 'letter-option word-option' : 'letter-option'; // Reset classes
+                btn.disabled = false;
+            });
+        }
         
         // Clear feedback
         document.getElementById('game-feedback').innerHTML = '';
         
-        // Hide results, show game content
+        // Hide results and settings, show game content
         document.getElementById('game-results').style.display = 'none';
+        const settingsPanel = document.getElementById('game-settings');
+        if (settingsPanel) settingsPanel.style.display = 'none';
         document.querySelector('.game-content').style.display = 'block';
+
+        this.announceQuestion();
+    }
+
+    /**
+     * Show the puzzle word, with a version a screen reader can say ("C, blank, T")
+     */
+    renderGameWord() {
+        document.getElementById('game-word').textContent = this.gameState.displayWord;
+        const spoken = document.getElementById('game-word-spoken');
+        if (spoken) spoken.textContent = this.getSpokenPuzzle(this.gameState.displayWord);
+    }
+
+    /**
+     * Turn a puzzle word into text a screen reader says clearly: letters and blanks one
+     * by one when letters are missing, the word itself otherwise (emoji clues are dropped)
+     */
+    getSpokenPuzzle(displayWord) {
+        if (displayWord.includes('_')) {
+            return [...displayWord].map(letter => letter === '_' ? this.t('puzzleBlank') : letter).join(', ');
+        }
+        const word = displayWord.replace(/[^\p{L}'’ -]/gu, '').trim();
+        return word.toLocaleLowerCase(this.getLanguagePack().locale);
+    }
+
+    /**
+     * Announce a new question: its number, the mode's instructions and the puzzle
+     */
+    announceQuestion() {
+        const mode = this.getGameMode();
+        const number = this.t('announceQuestion')
+            .replace('{number}', this.gameState.currentQuestion + 1)
+            .replace('{total}', this.gameState.totalQuestions);
+        const parts = [number, mode.prompts ? this.localize(mode.prompts) : '', this.getSpokenPuzzle(this.gameState.displayWord)];
+        this.gameAnnouncer.cancel('timer');
+        this.gameAnnouncer.announce(parts.filter(Boolean).join(' '));
+    }
+
+    /**
+     * Render shuffled letter tiles for the spell-it mode
+     */
+    renderLetterTiles() {
+        const tilesContainer = document.getElementById('letter-tiles');
+        if (!tilesContainer) return;
+
+        tilesContainer.innerHTML = '';
+        this.gameState.tiles.forEach((letter, index) => {
+            const tile = document.createElement('button');
+            tile.type = 'button';
+            tile.className = 'letter-tile';
+            tile.dataset.index = index;
+            tile.textContent = letter;
+            tile.onclick = () => this.selectTile(index);
+            tilesContainer.appendChild(tile);
+        });
+    }
+
+    /**
+     * Handle a letter tile tap in the spell-it mode
+     */
+    selectTile(index) {
+        if (this.gameState.isAnswered) return;
+
+        const tile = document.querySelector(`.letter-tile[data-index="${index}"]`);
+        const word = this.gameState.correctAnswer;
+        const expected = word[this.gameState.spelledCount];
+
+        if (this.gameState.tiles[index] !== expected) {
+            this.gameState.mistakes++;
+            this.playSound('wrong');
+            if (tile) {
+                tile.classList.add('wrong');
+                setTimeout(() => tile.classList.remove('wrong'), 600);
+            }
+            return;
+        }
+
+        this.gameState.spelledCount++;
+        if (tile) {
+            tile.disabled = true;
+            tile.classList.add('used');
+        }
+        this.gameState.displayWord = word.slice(0, this.gameState.spelledCount) +
+            '_'.repeat(word.length - this.gameState.spelledCount);
+        this.renderGameWord();
+        if (this.gameState.spelledCount < word.length) {
+            this.gameAnnouncer.announce(this.getSpokenPuzzle(this.gameState.displayWord));
+        }
+
+        if (this.gameState.spelledCount === word.length) {
+            const isCorrect = this.gameState.mistakes === 0;
+            this.finishRound(isCorrect, isCorrect ? null : `👍 You spelled ${word}! Try it with no mistakes next time.`);
+            document.querySelectorAll('.letter-tile').forEach(btn => { btn.disabled = true; });
+        }
+    }
+
+    /**
+     * Get the speech recognition helper (created on first use)
+     */
+    getSpeechPractice() {
+        if (!this.speechPractice) {
+            this.speechPractice = new SpeechPractice();
+        }
+        return this.speechPractice;
+    }
+
+    /**
+     * Get the recognition locale for the current language
+     */
+    getSpeechLocale() {
+        return this.getLanguagePack().locale;
+    }
+
+    /**
+     * Show whether the say-it microphone is listening
+     */
+    setMicButtonListening(isListening) {
+        const micBtn = document.getElementById('mic-btn');
+        if (!micBtn) return;
+        micBtn.disabled = isListening;
+        micBtn.classList.toggle('listening', isListening);
+        micBtn.textContent = isListening ? '👂 ...' : '🎤';
+    }
+
+    /**
+     * Listen to the child read the current word and judge the attempt (say-it mode)
+     */
+    async startSpeechAttempt() {
+        const state = this.gameState;
+        if (!state || state.isAnswered || state.isListening) return;
+
+        const practice = this.getSpeechPractice();
+        const round = state.currentQuestion;
+        // Each attempt gets its own id, so a listen() that settles after its round has
+        // ended (or after a newer attempt began) is ignored
+        const attempt = ++state.speechAttempt;
+        const isLatestAttempt = () => this.gameState === state && state.speechAttempt === attempt;
+        const isCurrentRound = () => isLatestAttempt() && state.currentQuestion === round && !state.isAnswered;
+
+        state.isListening = true;
+        this.setMicButtonListening(true);
+        this.showFeedback(true, '👂 Listening...');
+
+        try {
+            const transcripts = await practice.listen(this.getSpeechLocale());
+            if (!isCurrentRound()) return;
+
+            const result = practice.judge(state.currentWord.word, transcripts);
+            state.speakTries++;
+
+            if (result.isMatch) {
+                this.finishRound(true);
+            } else if (state.speakTries >= 3) {
+                this.finishRound(false, `💪 Good try! This word is ${state.correctAnswer}. Listen!`);
+                this.speakCurrentGameWord();
+            } else {
+                const heard = result.heard ? `I heard "${result.heard}". ` : 'I didn\'t hear you. ';
+                this.showFeedback(false, `🙂 ${heard}Tap the microphone and try again!`);
+            }
+        } catch (error) {
+            if (!isCurrentRound()) return;
+            console.error('Speech practice error:', error);
+            const micBlocked = error.code === 'not-allowed' || error.code === 'service-not-allowed';
+            this.showFeedback(false, micBlocked ?
+                '🎤 The microphone is turned off. Ask a grown-up to allow it.' :
+                '🎤 Oops, I couldn\'t listen. Tap the microphone to try again!');
+        } finally {
+            if (isLatestAttempt()) {
+                state.isListening = false;
+                if (!state.isAnswered) this.setMicButtonListening(false);
+            }
+        }
     }
 
     /**
@@ -831,10 +2495,17 @@ class WordLearningApp {
         if (this.gameState.timer) {
             clearInterval(this.gameState.timer);
         }
+        if (!this.gameState.timerSeconds) return; // Untimed mode
         
         this.gameState.timer = setInterval(() => {
             this.gameState.timeLeft--;
             document.getElementById('game-timer').textContent = this.gameState.timeLeft;
+            // Only the last few seconds, and throttled, so the countdown doesn't drown out the game
+            if (this.gameState.timeLeft > 0 && this.gameState.timeLeft <= 5) {
+                this.gameAnnouncer.announce(this.t('announceTimeLeft').replace('{seconds}', this.gameState.timeLeft), {
+                    throttleKey: 'timer'
+                });
+            }
             
             if (this.gameState.timeLeft <= 0) {
                 this.timeUp();
@@ -848,6 +2519,8 @@ class WordLearningApp {
     timeUp() {
         if (!this.gameState.isAnswered) {
             this.gameState.isAnswered = true;
+            if (this.speechPractice) this.speechPractice.stop();
+            this.progress.recordAttempt(this.language, this.gameState.currentWord.word, false);
             this.showFeedback(false, `Time's up! Correct answer: ${this.gameState.correctAnswer}`);
             setTimeout(() => this.nextQuestion(), 2000);
         }
@@ -868,16 +2541,8 @@ class WordLearningApp {
     selectLetter(letter) {
         if (this.gameState.isAnswered) return;
         
-        this.gameState.isAnswered = true;
-        clearInterval(this.gameState.timer);
-        
         const isCorrect = letter === this.gameState.correctAnswer;
-        
-        if (isCorrect) {
-            this.gameState.score++; this.playSound('correct'); this.showFeedback(true, '🎉 Correct! Well done!');
-        } else {
-            this.playSound('wrong'); this.showFeedback(false, `😔 Wrong! Correct answer: ${this.gameState.correctAnswer}`);
-        }
+        this.finishRound(isCorrect);
         
         const buttons = document.querySelectorAll('.letter-option');
         buttons.forEach(btn => {
@@ -885,6 +2550,22 @@ class WordLearningApp {
             else if (btn.dataset.letter === this.gameState.correctAnswer) btn.classList.add('correct');
             btn.disabled = true;
         });
+    }
+
+    /**
+     * Score an answered round (shared by all game modes) and move on
+     */
+    finishRound(isCorrect, wrongMessage = null) {
+        this.gameState.isAnswered = true;
+        clearInterval(this.gameState.timer);
+        if (this.speechPractice) this.speechPractice.stop();
+        this.progress.recordAttempt(this.language, this.gameState.currentWord.word, isCorrect);
+        
+        if (isCorrect) {
+            this.gameState.score++; this.playSound('correct'); this.showFeedback(true, '🎉 Correct! Well done!');
+        } else {
+            this.playSound('wrong'); this.showFeedback(false, wrongMessage || `😔 Wrong! Correct answer: ${this.gameState.correctAnswer}`);
+        }
         
         setTimeout(() => this.nextQuestion(), 2500);
     }
@@ -894,14 +2575,21 @@ class WordLearningApp {
      */
     showFeedback(isCorrect, message) {
         const feedback = document.getElementById('game-feedback');
-        feedback.innerHTML = message;
+        feedback.textContent = message; // Messages may include recognizer transcripts
         feedback.className = `game-feedback ${isCorrect ? 'feedback-correct' : 'feedback-wrong'}`;
+        this.gameAnnouncer.cancel('timer');
+        this.gameAnnouncer.announce(message, { assertive: true });
     }
 
     /**
      * Move to next question
      */
     nextQuestion() {
+        if (!this.gameState) return; // Game was closed during the feedback delay
+        if (this.gameState.isPaused) {
+            this.gameState.pendingNextQuestion = true;
+            return;
+        }
         this.gameState.currentQuestion++;
         this.startNewGameRound();
     }
@@ -964,9 +2652,14 @@ class WordLearningApp {
         // Update final score
         document.getElementById('final-score').textContent = 
             `${this.gameState.score}/${this.gameState.totalQuestions}`;
+        this.progress.recordGame(this.language, this.gameState.score, this.gameState.totalQuestions, {
+            durationMs: Date.now() - this.gameState.startedAt,
+            mode: this.gameState.modeId
+        });
         
         // Generate results message
-        const percentage = (this.gameState.score / this.gameState.totalQuestions) * 100;
+        const percentage = this.gameState.totalQuestions > 0 ?
+            (this.gameState.score / this.gameState.totalQuestions) * 100 : 0;
         let message = '';
         
         if (percentage >= 90) {
@@ -980,12 +2673,18 @@ class WordLearningApp {
         }
         
         document.getElementById('results-message').textContent = message;
+        this.renderModePicker();
+        const score = `${this.gameState.score}/${this.gameState.totalQuestions}`;
+        this.gameAnnouncer.cancel('timer');
+        this.gameAnnouncer.announce(`${this.t('announceResults').replace('{score}', score)} ${message}`);
     }
 
     /**
-     * Close game modal
+     * Close game modal (and leave the game route unless the router is the one closing it)
      */
-    closeGame() {
+    closeGame(updateRoute = true) {
+        if (this.kiosk.isGameLocked()) return; // Locked into the game until a parent unlocks
+
         const modal = document.getElementById('game-modal');
         if (modal) {
             modal.style.display = 'none';
@@ -993,11 +2692,925 @@ class WordLearningApp {
         if (this.gameState && this.gameState.timer) {
             clearInterval(this.gameState.timer);
         }
+        if (this.speechPractice) this.speechPractice.stop();
+        this.gameAnnouncer.clear();
         this.gameState = null;
+        this.updateReviewButton();
         this.disableFocusTrap();
         if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
             try { this.previousFocus.focus(); } catch(_) {}
         }
+
+        // Leaving #/<lang>/game: go back to the word list the child came from
+        const route = this.router.current;
+        if (updateRoute && route && route.segments[1] === 'game') {
+            this.router.navigate(`${route.segments[0]}/words`, this.wordView || {}, { replace: true });
+        }
+    }
+
+    /**
+     * Check if the game modal is showing
+     */
+    isGameOpen() {
+        const modal = document.getElementById('game-modal');
+        return modal !== null && modal.style.display === 'flex';
+    }
+
+    /**
+     * Register the service worker that keeps the site working offline
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // A new version finished installing while this page was closed
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    // No controller means this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+        }).catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.isUpdating) return;
+            this.isUpdating = false;
+            window.location.reload();
+        });
+    }
+
+    /**
+     * Offer to switch to a newly installed version (new words, fixes)
+     */
+    showUpdatePrompt(worker) {
+        if (document.getElementById('update-banner')) return;
+
+        const banner = document.createElement('div');
+        banner.id = 'update-banner';
+        banner.className = 'update-banner';
+        banner.setAttribute('role', 'status');
+
+        const message = document.createElement('span');
+        message.textContent = this.t('updateReady');
+
+        const updateBtn = document.createElement('button');
+        updateBtn.className = 'btn';
+        updateBtn.textContent = this.t('update');
+        updateBtn.addEventListener('click', () => {
+            this.isUpdating = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+            banner.remove();
+        });
+
+        const laterBtn = document.createElement('button');
+        laterBtn.className = 'btn secondary';
+        laterBtn.textContent = this.t('later');
+        laterBtn.addEventListener('click', () => banner.remove());
+
+        banner.append(message, updateBtn, laterBtn);
+        document.body.appendChild(banner);
+    }
+
+    /**
+     * Set up kiosk mode controls and apply the lock if a parent turned it on.
+     * Returns false when leaving this page for the locked one.
+     */
+    setupKioskMode() {
+        if (this.kiosk.isEnabled()) {
+            if (!this.isAppShell()) {
+                window.location.replace(`index.html#/${this.getKioskPath()}`);
+                return false;
+            }
+            this.applyKioskMode();
+        }
+
+        const kioskBtn = document.getElementById('kiosk-btn');
+        if (kioskBtn) {
+            kioskBtn.hidden = !this.kiosk.isSupported(); // Needs a secure (https) page
+            kioskBtn.addEventListener('click', () => this.openKioskDialog(false));
+        }
+
+        const exitBtn = document.getElementById('kiosk-exit-btn');
+        if (exitBtn) {
+            exitBtn.addEventListener('click', () => this.openKioskDialog(true));
+        }
+
+        const form = document.getElementById('kiosk-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitKioskDialog();
+            });
+        }
+
+        const cancelBtn = document.getElementById('cancel-kiosk-btn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.closeKioskDialog());
+        }
+    }
+
+    /**
+     * Get the route a child is locked into (e.g. 'en/game'), or null when unlocked
+     */
+    getKioskPath() {
+        if (!this.kiosk.isEnabled()) return null;
+        const pack = LanguagePacks.get(this.kiosk.getLanguage());
+        return `${pack.route}/${this.kiosk.isGameLocked() ? 'game' : 'words'}`;
+    }
+
+    /**
+     * Hide the way out (nav, links, back button) and go to the locked view
+     */
+    applyKioskMode() {
+        document.body.classList.add('kiosk');
+        document.body.classList.toggle('kiosk-game', this.kiosk.isGameLocked());
+
+        if (!this.kioskLinkHandler) {
+            this.kioskLinkHandler = (e) => {
+                if (e.target.closest && e.target.closest('a[href]')) e.preventDefault();
+            };
+            this.kioskBackHandler = () => window.history.pushState(null, '', window.location.href);
+            document.addEventListener('click', this.kioskLinkHandler, true);
+            window.addEventListener('popstate', this.kioskBackHandler);
+            this.kioskBackHandler(); // Extra history entry so Back stays on this page
+        }
+
+        if (this.router.current) {
+            this.router.navigate(this.getKioskPath(), {}, { replace: true });
+        }
+    }
+
+    /**
+     * Remove the kiosk lock from the page
+     */
+    leaveKioskMode() {
+        document.body.classList.remove('kiosk', 'kiosk-game');
+        if (this.kioskLinkHandler) {
+            document.removeEventListener('click', this.kioskLinkHandler, true);
+            window.removeEventListener('popstate', this.kioskBackHandler);
+            this.kioskLinkHandler = null;
+            this.kioskBackHandler = null;
+        }
+        if (document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }
+
+    /**
+     * Show the parent PIN dialog (to lock the page, or to unlock it)
+     */
+    openKioskDialog(isUnlocking) {
+        const dialog = document.getElementById('kiosk-dialog');
+        if (!dialog) return;
+
+        this.kioskUnlocking = isUnlocking;
+        dialog.querySelectorAll('[data-i18n-lock]').forEach(el => {
+            el.textContent = this.t(isUnlocking ? el.dataset.i18nUnlock : el.dataset.i18nLock);
+        });
+        document.getElementById('kiosk-lock-choice').style.display = isUnlocking ? 'none' : '';
+        document.getElementById('kiosk-pin').value = '';
+        document.getElementById('kiosk-error').textContent = '';
+
+        // The game's focus trap would pull focus back out of the dialog
+        this.disableFocusTrap();
+        this.kioskPreviousFocus = document.activeElement;
+        dialog.style.display = 'flex';
+        document.getElementById('kiosk-pin').focus();
+    }
+
+    /**
+     * Hide the parent PIN dialog
+     */
+    closeKioskDialog() {
+        const dialog = document.getElementById('kiosk-dialog');
+        if (dialog) dialog.style.display = 'none';
+
+        const modal = document.getElementById('game-modal');
+        if (modal && modal.style.display === 'flex') this.enableFocusTrap();
+        if (this.kioskPreviousFocus && typeof this.kioskPreviousFocus.focus === 'function') {
+            try { this.kioskPreviousFocus.focus(); } catch(_) {}
+        }
+    }
+
+    /**
+     * Lock or unlock kiosk mode with the entered PIN
+     */
+    async submitKioskDialog() {
+        const pin = document.getElementById('kiosk-pin').value.trim();
+        const error = document.getElementById('kiosk-error');
+
+        if (this.kioskUnlocking) {
+            if (await this.kiosk.disable(pin)) {
+                this.closeKioskDialog();
+                this.leaveKioskMode();
+            } else {
+                error.textContent = this.t('kioskWrongPin');
+                document.getElementById('kiosk-pin').value = '';
+            }
+            return;
+        }
+
+        if (!/^\d{4}$/.test(pin)) {
+            error.textContent = this.t('kioskBadPin');
+            return;
+        }
+
+        // Fullscreen needs the click that submitted the form, so ask before any await
+        if (document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(() => {});
+        }
+
+        const lockGame = document.getElementById('kiosk-target').value === 'game';
+        await this.kiosk.enable(pin, this.language, lockGame);
+        this.closeKioskDialog();
+        this.applyKioskMode();
+    }
+
+    /**
+     * Set up the teacher word list editor
+     */
+    setupWordListEditor() {
+        const form = document.getElementById('list-form');
+        if (!form) return;
+
+        document.getElementById('word-lists-btn').addEventListener('click', () => this.openWordListEditor());
+        document.getElementById('list-close-btn').addEventListener('click', () => this.closeWordListEditor());
+        document.getElementById('list-delete-btn').addEventListener('click', () => this.deleteWordListDraft());
+        document.getElementById('list-add-btn').addEventListener('click', () => this.addWordToListDraft());
+        document.getElementById('list-select').addEventListener('change', (e) => this.loadWordListDraft(e.target.value));
+
+        const wordInput = document.getElementById('list-word-input');
+        wordInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault(); // Add the word instead of saving the list
+                this.addWordToListDraft();
+            }
+        });
+        wordInput.addEventListener('input', () => {
+            // The new-word fields only apply to the word they were opened for
+            document.getElementById('list-new-word').hidden = true;
+            document.getElementById('list-error').textContent = '';
+        });
+
+        document.getElementById('list-words').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-word]');
+            if (!removeBtn) return;
+            this.listDraft.words = this.listDraft.words.filter(entry => entry.word !== removeBtn.dataset.removeWord);
+            this.renderWordListDraft();
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveWordListDraft();
+        });
+    }
+
+    /**
+     * Open the word list editor on the list being shown (or a new list)
+     */
+    openWordListEditor() {
+        const dialog = document.getElementById('list-dialog');
+        if (!dialog) return;
+
+        const listSelect = document.getElementById('list-select');
+        listSelect.innerHTML = '';
+        listSelect.appendChild(new Option(this.t('listNew'), ''));
+        this.customLists.getLists(this.language).forEach(list => listSelect.appendChild(new Option(list.name, list.id)));
+
+        const wordOptions = document.getElementById('list-word-options');
+        wordOptions.innerHTML = '';
+        this.words.forEach(wordObj => wordOptions.appendChild(new Option(wordObj.word)));
+
+        const categorySelect = document.getElementById('list-word-category');
+        categorySelect.innerHTML = '';
+        Object.keys(this.getLanguagePack().categoryLabels).forEach(category => {
+            categorySelect.appendChild(new Option(this.formatCategoryName(category), category));
+        });
+
+        const shownList = this.getCustomList(this.wordView && this.wordView.list);
+        listSelect.value = shownList ? shownList.id : '';
+        this.loadWordListDraft(listSelect.value);
+
+        this.listPreviousFocus = document.activeElement;
+        dialog.style.display = 'flex';
+        document.getElementById('list-name').focus();
+    }
+
+    /**
+     * Start editing a saved list, or a new empty one ('' id)
+     */
+    loadWordListDraft(id) {
+        const list = this.getCustomList(id);
+        this.listDraft = list ?
+            { id: list.id, words: list.words.map(entry => ({ ...entry })) } :
+            { id: null, words: [] };
+
+        document.getElementById('list-name').value = list ? list.name : '';
+        document.getElementById('list-word-input').value = '';
+        document.getElementById('list-new-word').hidden = true;
+        document.getElementById('list-error').textContent = '';
+        document.getElementById('list-delete-btn').hidden = !list;
+        this.renderWordListDraft();
+    }
+
+    /**
+     * Show the draft list's words, each with a remove button
+     */
+    renderWordListDraft() {
+        const container = document.getElementById('list-words');
+        container.innerHTML = '';
+
+        if (this.listDraft.words.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'list-empty';
+            empty.textContent = this.t('listEmpty');
+            container.appendChild(empty);
+            return;
+        }
+
+        this.listDraft.words.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'list-word';
+            item.textContent = entry.word;
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'list-word-remove';
+            removeBtn.dataset.removeWord = entry.word;
+            removeBtn.setAttribute('aria-label', `${this.t('listRemoveWord')} ${entry.word}`);
+            removeBtn.textContent = '✕';
+            item.appendChild(removeBtn);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Add the typed word to the draft list. Words not in the word list need their
+     * phonics and category first, so the new-word fields open for them, filled in
+     * with PhonicsSegmenter's proposal for the teacher to check.
+     */
+    addWordToListDraft() {
+        const wordInput = document.getElementById('list-word-input');
+        const newWordFields = document.getElementById('list-new-word');
+        const error = document.getElementById('list-error');
+        const text = wordInput.value.trim();
+        if (!text) return;
+
+        if (this.listDraft.words.some(entry => entry.word.toLowerCase() === text.toLowerCase())) {
+            error.textContent = this.t('listAlreadyAdded');
+            return;
+        }
+
+        const known = this.words.find(wordObj => wordObj.word.toLowerCase() === text.toLowerCase());
+        let entry;
+        if (known) {
+            entry = { ...known };
+        } else if (newWordFields.hidden) {
+            const suggestion = new PhonicsSegmenter(this.getLanguagePack().phonics).suggest(text);
+            const categorySelect = document.getElementById('list-word-category');
+            if (Array.from(categorySelect.options).some(option => option.value === suggestion.category)) {
+                categorySelect.value = suggestion.category;
+            }
+            newWordFields.hidden = false;
+            error.textContent = '';
+            document.getElementById('list-word-phonics').value = suggestion.phonics;
+            document.getElementById('list-word-phonics').focus();
+            return;
+        } else {
+            entry = {
+                word: text,
+                phonics: document.getElementById('list-word-phonics').value.trim(),
+                category: document.getElementById('list-word-category').value
+            };
+            const validator = new WordValidator({ categories: Object.keys(this.getLanguagePack().categoryLabels) });
+            const problems = validator.checkEntry(entry);
+            if (problems.length === 0 && validator.checkSpelling(entry)) problems.push(validator.checkSpelling(entry));
+            if (problems.length > 0) {
+                error.textContent = problems.join('; ');
+                return;
+            }
+        }
+
+        this.listDraft.words.push(entry);
+        wordInput.value = '';
+        newWordFields.hidden = true;
+        error.textContent = '';
+        this.renderWordListDraft();
+        wordInput.focus();
+    }
+
+    /**
+     * Save the draft list and show it
+     */
+    saveWordListDraft() {
+        try {
+            const list = this.customLists.saveList({
+                id: this.listDraft.id,
+                name: document.getElementById('list-name').value,
+                language: this.language,
+                words: this.listDraft.words
+            });
+            this.indexListWords();
+            this.setupFilterOptions();
+            this.closeWordListEditor();
+            this.setWordView({ list: list.id });
+            this.showToast(this.t('listSaved').replace('{name}', list.name));
+        } catch (error) {
+            document.getElementById('list-error').textContent = error.message;
+        }
+    }
+
+    /**
+     * Delete the list being edited after confirmation
+     */
+    deleteWordListDraft() {
+        const list = this.getCustomList(this.listDraft && this.listDraft.id);
+        if (!list || !window.confirm(this.t('listDeleteConfirm').replace('{name}', list.name))) return;
+
+        this.customLists.deleteList(list.id);
+        this.setupFilterOptions();
+        this.closeWordListEditor();
+        // Stop showing the deleted list
+        this.setWordView(this.wordView && this.wordView.list === list.id ? {} : (this.wordView || {}), { replace: true });
+    }
+
+    /**
+     * Hide the word list editor
+     */
+    closeWordListEditor() {
+        const dialog = document.getElementById('list-dialog');
+        if (dialog) dialog.style.display = 'none';
+        if (this.listPreviousFocus && typeof this.listPreviousFocus.focus === 'function') {
+            try { this.listPreviousFocus.focus(); } catch(_) {}
+        }
+    }
+
+    /**
+     * Set up the voice and speech settings dialog
+     */
+    setupVoiceSettings() {
+        const form = document.getElementById('voice-form');
+        if (!form) return;
+
+        document.getElementById('voice-settings-btn').addEventListener('click', () => this.openVoiceSettings());
+        document.getElementById('voice-cancel-btn').addEventListener('click', () => this.closeVoiceSettings());
+        document.getElementById('voice-reset-btn').addEventListener('click', () => this.fillVoiceForm(this.getDefaultVoiceSettings()));
+
+        ['rate', 'pitch', 'volume'].forEach(name => {
+            document.getElementById(`voice-${name}`).addEventListener('input', () => this.updateVoiceSliderValues());
+        });
+        document.getElementById('voice-languages').addEventListener('click', (e) => {
+            const previewBtn = e.target.closest('[data-preview]');
+            if (previewBtn) this.previewVoice(previewBtn.dataset.preview);
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveVoiceSettings();
+        });
+    }
+
+    /**
+     * Open the voice settings dialog with the active profile's settings
+     */
+    openVoiceSettings() {
+        const dialog = document.getElementById('voice-dialog');
+        if (!dialog) return;
+
+        this.fillVoiceForm(this.getVoiceSettings());
+        this.voicePreviousFocus = document.activeElement;
+        dialog.style.display = 'flex';
+        const firstField = dialog.querySelector('select, input');
+        if (firstField) firstField.focus();
+    }
+
+    /**
+     * Show settings in the voice settings form
+     */
+    fillVoiceForm(settings) {
+        this.renderVoicePickers(settings);
+        ['rate', 'pitch', 'volume'].forEach(name => {
+            document.getElementById(`voice-${name}`).value = settings[name];
+        });
+        this.updateVoiceSliderValues();
+    }
+
+    /**
+     * Build one voice picker (with a preview button) per language
+     */
+    renderVoicePickers(settings) {
+        const container = document.getElementById('voice-languages');
+        container.innerHTML = '';
+
+        LanguagePacks.list().forEach(pack => {
+            const group = document.createElement('div');
+            group.className = 'control-group voice-language';
+
+            const label = document.createElement('label');
+            label.htmlFor = `voice-${pack.id}`;
+            label.textContent = `${pack.flag || ''} ${pack.name || pack.id}`.trim();
+
+            const row = document.createElement('div');
+            row.className = 'list-add-row';
+            const select = document.createElement('select');
+            select.id = `voice-${pack.id}`;
+            select.className = 'filter-select';
+            select.dataset.language = pack.id;
+
+            const voices = this.getVoicesFor(pack.id);
+            if (voices.length === 0) {
+                select.appendChild(new Option(this.t('voiceNone'), ''));
+                select.disabled = true;
+            } else {
+                select.appendChild(new Option(this.t('voiceAuto'), ''));
+                voices.forEach(voice => select.appendChild(new Option(`${voice.name} (${voice.lang})`, this.getVoiceId(voice))));
+                const chosen = settings.voices[pack.id];
+                select.value = voices.some(voice => this.getVoiceId(voice) === chosen) ? chosen : '';
+            }
+
+            const previewBtn = document.createElement('button');
+            previewBtn.type = 'button';
+            previewBtn.className = 'btn';
+            previewBtn.dataset.preview = pack.id;
+            previewBtn.textContent = this.t('voicePreview');
+            previewBtn.setAttribute('aria-label', `${this.t('voicePreview')} ${pack.name || pack.id}`);
+
+            row.appendChild(select);
+            row.appendChild(previewBtn);
+            group.appendChild(label);
+            group.appendChild(row);
+            container.appendChild(group);
+        });
+    }
+
+    /**
+     * Show the rate, pitch and volume sliders' values next to them
+     */
+    updateVoiceSliderValues() {
+        ['rate', 'pitch', 'volume'].forEach(name => {
+            const value = Number(document.getElementById(`voice-${name}`).value);
+            document.getElementById(`voice-${name}-value`).textContent = name === 'volume' ?
+                `${Math.round(value * 100)}%` : `${value.toFixed(1)}×`;
+        });
+    }
+
+    /**
+     * Read the settings chosen in the voice settings form
+     */
+    readVoiceForm() {
+        const saved = this.getVoiceSettings();
+        const settings = { ...saved, voices: {} };
+        ['rate', 'pitch', 'volume'].forEach(name => {
+            const value = Number(document.getElementById(`voice-${name}`).value);
+            if (Number.isFinite(value)) settings[name] = value;
+        });
+        document.querySelectorAll('#voice-languages select').forEach(select => {
+            const language = select.dataset.language;
+            // A language with no voices on this device keeps the choice made on another one
+            const value = select.disabled ? saved.voices[language] : select.value;
+            if (value) settings.voices[language] = value;
+        });
+        return settings;
+    }
+
+    /**
+     * Say a sample sentence in a language with the settings being chosen
+     */
+    previewVoice(language) {
+        if (!this.synth) {
+            console.warn('Speech synthesis not supported');
+            return;
+        }
+        this.stopSpeaking();
+        const sample = this.t('voiceSample', LanguagePacks.get(language));
+        this.synth.speak(this.createUtterance(sample, language, this.readVoiceForm()));
+    }
+
+    /**
+     * Save the voice settings form for the active profile
+     */
+    saveVoiceSettings() {
+        const profileId = this.activeProfile ? this.activeProfile.id : null;
+        this.profiles.updateSettings(profileId, 'voice', this.readVoiceForm());
+        this.closeVoiceSettings();
+        this.showToast(this.t('voiceSaved'));
+    }
+
+    /**
+     * Hide the voice settings dialog
+     */
+    closeVoiceSettings() {
+        const dialog = document.getElementById('voice-dialog');
+        if (dialog) dialog.style.display = 'none';
+        if (this.voicePreviousFocus && typeof this.voicePreviousFocus.focus === 'function') {
+            try { this.voicePreviousFocus.focus(); } catch(_) {}
+        }
+    }
+
+    /**
+     * Set up the dialog for recording word pronunciations (hidden where the browser
+     * can't record or store clips)
+     */
+    setupClipRecorder() {
+        const form = document.getElementById('clip-form');
+        if (!form) return;
+
+        const openBtn = document.getElementById('clip-btn');
+        openBtn.hidden = !(this.clipRecorder.isSupported() && this.clips.isSupported());
+        openBtn.addEventListener('click', () => this.openClipDialog());
+        document.getElementById('clip-record-btn').addEventListener('click', () => this.toggleClipRecording());
+        document.getElementById('clip-play-btn').addEventListener('click', () => this.playClipDialogWord());
+        document.getElementById('clip-delete-btn').addEventListener('click', () => this.deleteClip());
+        document.getElementById('clip-close-btn').addEventListener('click', () => this.closeClipDialog());
+        document.getElementById('clip-word').addEventListener('input', () => this.updateClipStatus());
+
+        document.getElementById('clip-words').addEventListener('click', (e) => {
+            const wordBtn = e.target.closest('[data-clip-word]');
+            if (!wordBtn) return;
+            document.getElementById('clip-word').value = wordBtn.dataset.clipWord;
+            this.updateClipStatus();
+        });
+
+        form.addEventListener('submit', (e) => e.preventDefault());
+    }
+
+    /**
+     * Open the recording dialog on the word last clicked
+     */
+    async openClipDialog() {
+        const dialog = document.getElementById('clip-dialog');
+        if (!dialog) return;
+
+        const wordOptions = document.getElementById('clip-word-options');
+        wordOptions.innerHTML = '';
+        this.wordLookup.forEach((wordObj, word) => wordOptions.appendChild(new Option(word)));
+        document.getElementById('clip-word').value = this.currentWord ? this.currentWord.word : '';
+
+        this.clipPreviousFocus = document.activeElement;
+        dialog.style.display = 'flex';
+        document.getElementById('clip-word').focus();
+
+        await this.loadClipWords();
+        this.renderClipWords();
+        this.updateClipStatus();
+    }
+
+    /**
+     * Show the words with a recording as buttons that pick the word
+     */
+    renderClipWords() {
+        const container = document.getElementById('clip-words');
+        container.innerHTML = '';
+        const words = Array.from(this.clipWords.get(this.language) || []).sort((a, b) => a.localeCompare(b));
+        if (words.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'list-empty';
+            empty.textContent = this.t('clipEmpty');
+            container.appendChild(empty);
+            return;
+        }
+
+        words.forEach(word => {
+            const item = document.createElement('li');
+            const wordBtn = document.createElement('button');
+            wordBtn.type = 'button';
+            wordBtn.className = 'list-word';
+            wordBtn.dataset.clipWord = word;
+            wordBtn.textContent = `🎙️ ${word}`;
+            item.appendChild(wordBtn);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Find the word typed in the recording dialog (null if it isn't in the word lists)
+     */
+    getClipDialogWord() {
+        const text = document.getElementById('clip-word').value.trim();
+        if (!text) return null;
+        return this.wordLookup.get(text) ||
+            Array.from(this.wordLookup.values()).find(wordObj => wordObj.word.toLowerCase() === text.toLowerCase()) || null;
+    }
+
+    /**
+     * Say whether the typed word has a recording, and enable the buttons that apply
+     */
+    updateClipStatus(message = null) {
+        const wordObj = this.getClipDialogWord();
+        const hasClip = Boolean(wordObj && this.hasRecordedClip(wordObj));
+        const recording = this.clipRecorder.isRecording();
+        const text = document.getElementById('clip-word').value.trim();
+
+        let status = message;
+        if (!status && recording) status = this.t('clipRecording');
+        if (!status && text && !wordObj) status = this.t('clipUnknownWord');
+        if (!status && wordObj) status = this.t(hasClip ? 'clipHas' : 'clipNone').replace('{word}', wordObj.word);
+        document.getElementById('clip-status').textContent = status || '';
+
+        const recordBtn = document.getElementById('clip-record-btn');
+        recordBtn.textContent = this.t(recording ? 'clipStop' : 'clipRecord');
+        recordBtn.disabled = !recording && !wordObj;
+        document.getElementById('clip-word').disabled = recording;
+        document.getElementById('clip-play-btn').disabled = recording || !hasClip;
+        document.getElementById('clip-delete-btn').disabled = recording || !hasClip;
+    }
+
+    /**
+     * Start recording the typed word, or stop and save the recording in progress
+     */
+    async toggleClipRecording() {
+        if (this.clipRecorder.isRecording()) {
+            this.clipRecorder.stop();
+            return;
+        }
+
+        const wordObj = this.getClipDialogWord();
+        if (!wordObj) return;
+        const language = this.language;
+        this.stopSpeaking();
+
+        try {
+            const blob = await this.clipRecorder.record({ onStart: () => this.updateClipStatus() });
+            if (!blob) {
+                this.updateClipStatus();
+                return;
+            }
+            await this.clips.save(language, wordObj.word, blob);
+            await this.loadClipWords(language);
+            this.renderClipWords();
+            this.updateClipStatus(this.t('clipSaved').replace('{word}', wordObj.word));
+        } catch (error) {
+            console.error('Error recording clip:', error);
+            this.updateClipStatus(this.t(error.code === 'not-allowed' ? 'clipMicBlocked' : 'clipError'));
+        }
+    }
+
+    /**
+     * Play the typed word's recording
+     */
+    playClipDialogWord() {
+        const wordObj = this.getClipDialogWord();
+        if (!wordObj) return;
+        this.stopSpeaking();
+        this.playWordAudio(wordObj);
+    }
+
+    /**
+     * Delete the typed word's recording after confirmation
+     */
+    async deleteClip() {
+        const wordObj = this.getClipDialogWord();
+        if (!wordObj || !window.confirm(this.t('clipDeleteConfirm').replace('{word}', wordObj.word))) return;
+
+        try {
+            await this.clips.delete(this.language, wordObj.word);
+            await this.loadClipWords();
+            this.renderClipWords();
+            this.updateClipStatus(this.t('clipDeleted').replace('{word}', wordObj.word));
+        } catch (error) {
+            console.error('Error deleting clip:', error);
+            this.updateClipStatus(this.t('clipError'));
+        }
+    }
+
+    /**
+     * Hide the recording dialog (a recording in progress is thrown away)
+     */
+    closeClipDialog() {
+        this.clipRecorder.cancel();
+        this.stopSpeaking();
+        const dialog = document.getElementById('clip-dialog');
+        if (dialog) dialog.style.display = 'none';
+        if (this.clipPreviousFocus && typeof this.clipPreviousFocus.focus === 'function') {
+            try { this.clipPreviousFocus.focus(); } catch(_) {}
+        }
+    }
+
+    /**
+     * Set up arrow-key movement through the word grid, the page's shortcut keys
+     * (/ search, R random, H history, G game, S sound out) and switch scanning
+     */
+    setupKeyboardNavigation() {
+        const wordsGrid = document.getElementById('words-grid');
+        if (!wordsGrid) return;
+
+        this.gridNavigator = new GridNavigator(wordsGrid, {
+            itemSelector: '.word-btn',
+            skipSelector: '.sound-out-btn'
+        });
+        document.addEventListener('keydown', (e) => this.handleShortcutKey(e));
+
+        const scanBtn = document.getElementById('scan-btn');
+        if (scanBtn) {
+            scanBtn.addEventListener('click', () => this.saveAccessSettings({ scanning: !this.switchScanner.isRunning() }));
+        }
+        const scanSpeed = document.getElementById('scan-speed');
+        if (scanSpeed) {
+            scanSpeed.addEventListener('change', (e) => this.saveAccessSettings({ scanInterval: Number(e.target.value) }));
+        }
+    }
+
+    /**
+     * Check if the word grid is showing with no dialog or game over it
+     */
+    isWordsViewActive() {
+        const view = document.getElementById('words-view');
+        if (view && view.hidden) return false;
+        return !Array.from(document.querySelectorAll('[role="dialog"]')).some(el => el.style.display === 'flex');
+    }
+
+    /**
+     * Handle a shortcut key pressed on the words page (typing in a field is left alone)
+     */
+    handleShortcutKey(e) {
+        if (e.ctrlKey || e.altKey || e.metaKey || e.defaultPrevented) return;
+        if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable="true"]')) return;
+        if (!this.isWordsViewActive()) return;
+
+        const clickButton = (id) => {
+            const btn = document.getElementById(id);
+            if (!btn || btn.hidden) return false;
+            btn.click();
+            return true;
+        };
+        let handled = false;
+        switch (e.key) {
+            case '/': {
+                const searchBar = document.getElementById('search-bar');
+                if (searchBar) {
+                    searchBar.focus();
+                    handled = true;
+                }
+                break;
+            }
+            case 'r':
+            case 'R':
+                handled = clickButton('random-words-btn');
+                break;
+            case 'h':
+            case 'H':
+                handled = clickButton('history-btn');
+                break;
+            case 'g':
+            case 'G':
+                handled = clickButton('floating-game-btn');
+                break;
+            case 's':
+            case 'S': {
+                const card = e.target.closest && e.target.closest('.word-card');
+                const soundOutBtn = card && card.querySelector('.sound-out-btn');
+                if (soundOutBtn) {
+                    soundOutBtn.click();
+                    handled = true;
+                }
+                break;
+            }
+        }
+        if (handled) e.preventDefault();
+    }
+
+    /**
+     * Get the active profile's access settings ({ scanning, scanInterval })
+     */
+    getAccessSettings() {
+        const profileId = this.activeProfile ? this.activeProfile.id : null;
+        return { scanning: false, scanInterval: 2000, ...this.profiles.getSettings(profileId, 'access') };
+    }
+
+    /**
+     * Save access settings for the active profile and apply them
+     */
+    saveAccessSettings(values) {
+        const profileId = this.activeProfile ? this.activeProfile.id : null;
+        this.profiles.updateSettings(profileId, 'access', values);
+        this.applyAccessSettings();
+    }
+
+    /**
+     * Turn switch scanning on or off to match the active profile's settings
+     */
+    applyAccessSettings() {
+        const settings = this.getAccessSettings();
+        this.switchScanner.setInterval(settings.scanInterval);
+        if (settings.scanning && document.getElementById('words-grid')) {
+            this.switchScanner.start();
+        } else {
+            this.switchScanner.stop();
+        }
+
+        const scanBtn = document.getElementById('scan-btn');
+        if (scanBtn) scanBtn.setAttribute('aria-pressed', String(this.switchScanner.isRunning()));
+        const scanSpeed = document.getElementById('scan-speed');
+        if (scanSpeed) scanSpeed.value = String(settings.scanInterval);
     }
 
     /**
@@ -1014,6 +3627,7 @@ class WordLearningApp {
         const toast = document.createElement('div');
         toast.className = 'toast';
         toast.textContent = message;
+        toast.setAttribute('aria-hidden', 'true'); // Read out through the announcer's status region
         toast.style.cssText = `
             position: fixed;
             top: 20px;
@@ -1032,6 +3646,7 @@ class WordLearningApp {
         `;
 
         document.body.appendChild(toast);
+        this.announcer.announce(message);
 
         // Animate in
         setTimeout(() => {
@@ -1054,6 +3669,7 @@ class WordLearningApp {
         const toast = document.createElement('div');
         toast.className = 'toast error';
         toast.textContent = message;
+        toast.setAttribute('aria-hidden', 'true'); // Read out through the announcer's alert region
         toast.style.cssText = `
             position: fixed;
             top: 20px;
@@ -1068,6 +3684,7 @@ class WordLearningApp {
             font-weight: bold;
         `;
         document.body.appendChild(toast);
+        this.announcer.announce(message, { assertive: true });
 
         setTimeout(() => toast.remove(), 5000);
     }
@@ -0,0 +1,124 @@
+/**
+ * Kid-Friendly Word Learning Website - Audio Clip Store
+ * Keeps pronunciation clips recorded by a parent or teacher in IndexedDB (recordings are
+ * too big for localStorage), one clip per language and word. A word's clip is played
+ * instead of its audio file or the speech synthesis voice.
+ */
+
+class AudioClipStore {
+    /**
+     * @param {IDBFactory|null} [indexedDB] - IndexedDB to use (null disables the store)
+     * @param {string} [dbName]
+     * @param {string} [storeName]
+     */
+    constructor(indexedDB, dbName = 'wordApp', storeName = 'clips') {
+        this.indexedDB = indexedDB === undefined ? AudioClipStore.getDefaultDatabase() : indexedDB;
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Get the browser's IndexedDB (null if unavailable, e.g. some private windows)
+     */
+    static getDefaultDatabase() {
+        try {
+            return typeof window !== 'undefined' && window.indexedDB ? window.indexedDB : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Key for a word's clip (words are matched case-insensitively)
+     */
+    static getKey(language, word) {
+        return `${language}:${word.toLowerCase()}`;
+    }
+
+    /**
+     * Check if clips can be stored
+     */
+    isSupported() {
+        return Boolean(this.indexedDB);
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (!this.isSupported()) return Promise.reject(new Error('IndexedDB not supported'));
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                store.createIndex('language', 'language');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again after a failure
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against the clips store and resolve with its result
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Get a word's clip record ({ key, language, word, blob, type, createdAt }), or null
+     */
+    async get(language, word) {
+        const clip = await this.run('readonly', store => store.get(AudioClipStore.getKey(language, word)));
+        return clip || null;
+    }
+
+    /**
+     * Save (or replace) a word's clip
+     */
+    async save(language, word, blob) {
+        const clip = {
+            key: AudioClipStore.getKey(language, word),
+            language,
+            word,
+            blob,
+            type: blob.type,
+            createdAt: Date.now()
+        };
+        await this.run('readwrite', store => store.put(clip));
+        return clip;
+    }
+
+    /**
+     * Remove a word's clip
+     */
+    async delete(language, word) {
+        await this.run('readwrite', store => store.delete(AudioClipStore.getKey(language, word)));
+    }
+
+    /**
+     * Get the words with a clip in a language, sorted
+     */
+    async getWords(language) {
+        const keys = await this.run('readonly', store => store.index('language').getAllKeys(language));
+        return keys.map(key => key.slice(language.length + 1)).sort((a, b) => a.localeCompare(b));
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioClipStore;
+}
@@ -0,0 +1,129 @@
+/**
+ * Kid-Friendly Word Learning Website - Clip Recorder
+ * Records a short pronunciation clip from the microphone (MediaRecorder) for AudioClipStore
+ */
+
+class ClipRecorder {
+    /**
+     * @param {Object} [options]
+     * @param {MediaDevices} [options.mediaDevices] - Microphone access (inject a mock in tests)
+     * @param {Function} [options.Recorder] - MediaRecorder constructor (inject a mock in tests)
+     * @param {number} [options.maxSeconds] - Recording stops by itself after this long
+     */
+    constructor({ mediaDevices, Recorder, maxSeconds = 5 } = {}) {
+        this.mediaDevices = mediaDevices === undefined ? ClipRecorder.getDefaultMediaDevices() : mediaDevices;
+        this.Recorder = Recorder === undefined ? ClipRecorder.getDefaultRecorder() : Recorder;
+        this.maxSeconds = maxSeconds;
+        this.active = null;
+        this.starting = null; // Token for a record() waiting on microphone permission
+    }
+
+    /**
+     * Get the browser's media devices (null if unsupported)
+     */
+    static getDefaultMediaDevices() {
+        if (typeof navigator === 'undefined' || !navigator.mediaDevices) return null;
+        return typeof navigator.mediaDevices.getUserMedia === 'function' ? navigator.mediaDevices : null;
+    }
+
+    /**
+     * Get the browser's MediaRecorder constructor (null if unsupported)
+     */
+    static getDefaultRecorder() {
+        return typeof window !== 'undefined' && typeof window.MediaRecorder === 'function' ? window.MediaRecorder : null;
+    }
+
+    /**
+     * Check if clips can be recorded
+     */
+    isSupported() {
+        return Boolean(this.mediaDevices) && typeof this.Recorder === 'function';
+    }
+
+    /**
+     * Check if a recording is in progress
+     */
+    isRecording() {
+        return this.active !== null;
+    }
+
+    /**
+     * Start recording. Resolves with the clip's Blob once stop() is called or the time
+     * limit is reached (null if cancelled or nothing was recorded). Rejects with an Error
+     * whose `code` is 'not-supported', 'not-allowed' or 'no-microphone'.
+     * @param {Object} [options]
+     * @param {Function} [options.onStart] - Called once the microphone is on
+     */
+    async record({ onStart } = {}) {
+        if (!this.isSupported()) {
+            const error = new Error('Recording not supported');
+            error.code = 'not-supported';
+            throw error;
+        }
+        this.cancel();
+
+        const starting = {};
+        this.starting = starting;
+        let stream;
+        try {
+            stream = await this.mediaDevices.getUserMedia({ audio: true });
+        } catch (cause) {
+            const error = new Error(`Could not use the microphone: ${cause.message || cause.name}`);
+            error.code = cause.name === 'NotAllowedError' || cause.name === 'SecurityError' ? 'not-allowed' : 'no-microphone';
+            throw error;
+        } finally {
+            if (this.starting === starting) this.starting = null;
+        }
+        // Cancelled while the browser asked for the microphone
+        if (starting.cancelled) {
+            stream.getTracks().forEach(track => track.stop());
+            return null;
+        }
+
+        return new Promise(resolve => {
+            const recorder = new this.Recorder(stream);
+            const chunks = [];
+            const active = { recorder, stream, cancelled: false, timer: null };
+            this.active = active;
+
+            recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) chunks.push(event.data);
+            };
+            recorder.onstop = () => {
+                clearTimeout(active.timer);
+                stream.getTracks().forEach(track => track.stop());
+                if (this.active === active) this.active = null;
+                const type = recorder.mimeType || (chunks[0] && chunks[0].type) || 'audio/webm';
+                resolve(active.cancelled || chunks.length === 0 ? null : new Blob(chunks, { type }));
+            };
+
+            recorder.start();
+            active.timer = setTimeout(() => this.stop(), this.maxSeconds * 1000);
+            if (onStart) onStart();
+        });
+    }
+
+    /**
+     * Finish the recording in progress (its record() promise resolves with the clip)
+     */
+    stop() {
+        if (!this.active) return;
+        const { recorder } = this.active;
+        if (recorder.state !== 'inactive') recorder.stop();
+    }
+
+    /**
+     * Stop the recording in progress and throw it away
+     */
+    cancel() {
+        if (this.starting) this.starting.cancelled = true;
+        if (!this.active) return;
+        this.active.cancelled = true;
+        this.stop();
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClipRecorder;
+}
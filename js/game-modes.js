@@ -0,0 +1,259 @@
+/**
+ * Kid-Friendly Word Learning Website - Game Modes
+ * Registry of word game mechanics that share the game modal, scoring, timer and results
+ *
+ * A game mode is a plain object:
+ *   id          - unique key, saved in game settings
+ *   icon        - emoji shown with the title
+ *   titles      - game title per language
+ *   prompts     - instruction line per language (optional)
+ *   layout      - 'letters' (4 letter buttons), 'words' (4 word cards), 'tiles' (letters tapped in order)
+ *                 or 'speak' (microphone button)
+ *   speakOnStart - set to false to skip saying the word when a round starts
+ *   showPicture - set to true to show the word's image or emoji as a clue
+ *   isAvailable - (app) => boolean, hides modes the browser can't run (optional)
+ *   canUseWord  - (app, wordObj) => boolean, limits the word pool (optional)
+ *   prepareRound - (app) => void, sets gameState.displayWord, correctAnswer and letterOptions or tiles
+ */
+
+class GameModeRegistry {
+    constructor() {
+        this.modes = new Map();
+        this.defaultModeId = null;
+    }
+
+    /**
+     * Register a game mode (the first one registered is the default)
+     */
+    register(mode) {
+        if (!mode || !mode.id || typeof mode.prepareRound !== 'function') {
+            throw new Error('Game mode needs an id and a prepareRound function');
+        }
+        this.modes.set(mode.id, mode);
+        if (!this.defaultModeId) this.defaultModeId = mode.id;
+    }
+
+    /**
+     * Check if a mode can run (always true without an app to check against)
+     */
+    isAvailable(mode, app) {
+        return !app || !mode.isAvailable || mode.isAvailable(app);
+    }
+
+    /**
+     * Get a mode by id, falling back to the default mode if it is missing or unavailable
+     */
+    get(id, app) {
+        const mode = this.modes.get(id);
+        return mode && this.isAvailable(mode, app) ? mode : this.modes.get(this.defaultModeId);
+    }
+
+    /**
+     * Get registered modes in registration order (only those available to the app, if given)
+     */
+    list(app) {
+        return Array.from(this.modes.values()).filter(mode => this.isAvailable(mode, app));
+    }
+}
+
+const GameModes = new GameModeRegistry();
+
+// Fill in the missing letters (the original game)
+GameModes.register({
+    id: 'missing-letters',
+    icon: '🔤',
+    titles: {
+        english: 'Fill in the Missing Letters!',
+        french: 'Lettres Manquantes'
+    },
+    layout: 'letters',
+    showPicture: true,
+    prepareRound(app) {
+        app.generateWordPuzzle();
+    }
+});
+
+// Spell the whole word with letter tiles, in order
+GameModes.register({
+    id: 'spell-it',
+    icon: '🧩',
+    titles: {
+        english: 'Spell It!',
+        french: 'Épelle le Mot!'
+    },
+    prompts: {
+        english: 'Tap the letters in the right order!',
+        french: 'Touche les lettres dans le bon ordre!'
+    },
+    layout: 'tiles',
+    showPicture: true,
+    canUseWord(app, wordObj) {
+        return wordObj.word.length <= 7;
+    },
+    prepareRound(app) {
+        const word = app.gameState.currentWord.word.toUpperCase();
+        app.gameState.correctAnswer = word;
+        app.gameState.displayWord = '_'.repeat(word.length);
+        app.gameState.tiles = app.shuffleArray([...word]);
+        app.gameState.spelledCount = 0;
+        app.gameState.mistakes = 0;
+    }
+});
+
+// Hear the word and pick it from 4 word cards
+GameModes.register({
+    id: 'listen-pick',
+    icon: '👂',
+    titles: {
+        english: 'Listen and Pick!',
+        french: 'Écoute et Choisis!'
+    },
+    prompts: {
+        english: 'Which word did you hear?',
+        french: 'Quel mot as-tu entendu?'
+    },
+    layout: 'words',
+    prepareRound(app) {
+        const wordObj = app.gameState.currentWord;
+        const distractors = app.findSimilarWords(wordObj, 3).map(w => w.word.toUpperCase());
+        app.gameState.correctAnswer = wordObj.word.toUpperCase();
+        app.gameState.displayWord = '🔊 ❓';
+        app.gameState.letterOptions = app.shuffleArray([app.gameState.correctAnswer, ...distractors]);
+    }
+});
+
+// Pick the word that rhymes with the shown word
+GameModes.register({
+    id: 'rhyme',
+    icon: '🎵',
+    titles: {
+        english: 'Rhyme Time!',
+        french: 'Les Rimes!'
+    },
+    prompts: {
+        english: 'Which word rhymes with this one?',
+        french: 'Quel mot rime avec celui-ci?'
+    },
+    layout: 'words',
+    canUseWord(app, wordObj) {
+        return app.getRhymes(wordObj).length > 0;
+    },
+    prepareRound(app) {
+        const wordObj = app.gameState.currentWord;
+        const rhymes = app.getRhymes(wordObj);
+        const rhyme = rhymes[Math.floor(Math.random() * rhymes.length)];
+        const rime = app.getRimeKey(wordObj.word);
+        const distractors = app.findSimilarWords(wordObj, 3, w => app.getRimeKey(w.word) !== rime);
+
+        app.gameState.correctAnswer = rhyme.word.toUpperCase();
+        app.gameState.displayWord = wordObj.word.toUpperCase();
+        app.gameState.letterOptions = app.shuffleArray([
+            app.gameState.correctAnswer,
+            ...distractors.map(w => w.word.toUpperCase())
+        ]);
+    }
+});
+
+// Read the shown word aloud (needs speech recognition)
+GameModes.register({
+    id: 'say-it',
+    icon: '🎤',
+    titles: {
+        english: 'Say It!',
+        french: 'Dis le Mot!'
+    },
+    prompts: {
+        english: 'Tap the microphone and read the word out loud!',
+        french: 'Touche le micro et lis le mot à voix haute!'
+    },
+    layout: 'speak',
+    speakOnStart: false, // Hearing the word first would give the answer away
+    showPicture: true,
+    isAvailable(app) {
+        return app.getSpeechPractice().isSupported();
+    },
+    prepareRound(app) {
+        const word = app.gameState.currentWord.word.toUpperCase();
+        app.gameState.correctAnswer = word;
+        app.gameState.displayWord = word;
+        app.gameState.speakTries = 0;
+        app.gameState.isListening = false;
+    }
+});
+
+// Pick the word's meaning in the other language (needs data/translations.json)
+GameModes.register({
+    id: 'match-meaning',
+    icon: '🌉',
+    titles: {
+        english: 'Match the Meaning!',
+        french: 'Trouve la Traduction!'
+    },
+    prompts: {
+        english: 'Which word means the same thing?',
+        french: 'Quel mot veut dire la même chose?'
+    },
+    layout: 'words',
+    isAvailable(app) {
+        // Three wrong answers are needed besides the right one
+        const partner = app.getTranslationLanguage();
+        return partner !== null && app.translations.getPairs(app.language, partner).length >= 4;
+    },
+    canUseWord(app, wordObj) {
+        return app.getTranslation(wordObj.word) !== null;
+    },
+    prepareRound(app) {
+        const wordObj = app.gameState.currentWord;
+        const translation = app.getTranslation(wordObj.word);
+        const others = app.translations.getPairs(app.language, app.getTranslationLanguage())
+            .map(pair => pair.translation)
+            .filter(other => other !== translation);
+        const distractors = app.shuffleArray([...new Set(others)]).slice(0, 3);
+
+        app.gameState.correctAnswer = translation.toUpperCase();
+        app.gameState.displayWord = wordObj.word.toUpperCase();
+        app.gameState.letterOptions = app.shuffleArray([
+            app.gameState.correctAnswer,
+            ...distractors.map(word => word.toUpperCase())
+        ]);
+    }
+});
+
+// See the picture and pick its word (needs words with an image or emoji)
+GameModes.register({
+    id: 'picture-word',
+    icon: '🖼️',
+    titles: {
+        english: 'Picture Match!',
+        french: 'Image et Mot!'
+    },
+    prompts: {
+        english: 'Which word goes with the picture?',
+        french: 'Quel mot va avec l\'image?'
+    },
+    layout: 'words',
+    speakOnStart: false, // Hearing the word would give the answer away
+    showPicture: true,
+    isAvailable(app) {
+        return app.words.filter(word => app.hasPicture(word)).length >= 4;
+    },
+    canUseWord(app, wordObj) {
+        return app.hasPicture(wordObj);
+    },
+    prepareRound(app) {
+        const wordObj = app.gameState.currentWord;
+        // A wrong answer with the same picture would also be right
+        const image = app.getImageSource(wordObj);
+        const samePicture = w => (wordObj.emoji && w.emoji === wordObj.emoji) ||
+            (image !== null && app.getImageSource(w) === image);
+        const distractors = app.findSimilarWords(wordObj, 3, w => !samePicture(w)).map(w => w.word.toUpperCase());
+        app.gameState.correctAnswer = wordObj.word.toUpperCase();
+        app.gameState.displayWord = '❓';
+        app.gameState.letterOptions = app.shuffleArray([app.gameState.correctAnswer, ...distractors]);
+    }
+});
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameModeRegistry, GameModes };
+}
@@ -0,0 +1,113 @@
+/**
+ * Kid-Friendly Word Learning Website - Grid Navigation
+ * Roving tabindex for a grid of buttons: the grid is one Tab stop, and the arrow keys,
+ * Home and End move between its buttons (up and down follow the grid's rows on screen;
+ * Ctrl+Home and Ctrl+End go to the first and last button)
+ */
+
+class GridNavigator {
+    /**
+     * @param {HTMLElement} container - Element holding the items
+     * @param {Object} [options]
+     * @param {string} [options.itemSelector] - Selector for the focusable items
+     * @param {string} [options.skipSelector] - Selector for other buttons inside the grid
+     *                                          to take out of the Tab order
+     */
+    constructor(container, { itemSelector = 'button', skipSelector = null } = {}) {
+        this.container = container;
+        this.itemSelector = itemSelector;
+        this.skipSelector = skipSelector;
+        this.activeItem = null;
+
+        this.container.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.container.addEventListener('focusin', (e) => {
+            const item = e.target.closest(this.itemSelector);
+            if (item && this.container.contains(item)) this.setActive(item);
+        });
+    }
+
+    /**
+     * Get the grid's items in order
+     */
+    getItems() {
+        return Array.from(this.container.querySelectorAll(this.itemSelector));
+    }
+
+    /**
+     * Reset the Tab stop after the items change (keeping the active item if it's still there)
+     */
+    refresh() {
+        if (this.skipSelector) {
+            this.container.querySelectorAll(this.skipSelector).forEach(el => { el.tabIndex = -1; });
+        }
+        const items = this.getItems();
+        const kept = items.includes(this.activeItem) ? this.activeItem : items[0] || null;
+        items.forEach(item => { item.tabIndex = -1; });
+        this.activeItem = null;
+        if (kept) this.setActive(kept);
+    }
+
+    /**
+     * Make an item the grid's Tab stop
+     */
+    setActive(item) {
+        if (this.activeItem && this.activeItem !== item) this.activeItem.tabIndex = -1;
+        this.activeItem = item;
+        item.tabIndex = 0;
+    }
+
+    /**
+     * Move focus to the item at an index (clamped to the grid)
+     */
+    focusItem(index) {
+        const items = this.getItems();
+        if (items.length === 0) return;
+        const item = items[Math.max(0, Math.min(items.length - 1, index))];
+        this.setActive(item);
+        item.focus();
+    }
+
+    /**
+     * Count the items in the first row on screen
+     */
+    getColumnCount(items = this.getItems()) {
+        if (items.length === 0) return 1;
+        const rowOf = item => Math.round(item.getBoundingClientRect().top);
+        const top = rowOf(items[0]);
+        const firstRow = items.findIndex(item => rowOf(item) !== top);
+        return firstRow === -1 ? items.length : firstRow;
+    }
+
+    /**
+     * Move between items with the arrow keys, Home and End
+     */
+    handleKeyDown(e) {
+        const jumps = e.key === 'Home' || e.key === 'End';
+        if (e.altKey || e.metaKey || (e.ctrlKey && !jumps)) return;
+        const items = this.getItems();
+        const current = items.indexOf(e.target.closest(this.itemSelector));
+        if (current === -1) return;
+
+        const columns = this.getColumnCount(items);
+        const moves = {
+            ArrowRight: current + 1,
+            ArrowLeft: current - 1,
+            ArrowDown: current + columns,
+            ArrowUp: current - columns,
+            Home: e.ctrlKey ? 0 : current - (current % columns),
+            End: e.ctrlKey ? items.length - 1 : current - (current % columns) + columns - 1
+        };
+        if (!(e.key in moves)) return;
+
+        e.preventDefault();
+        const target = moves[e.key];
+        // Up from the first row or down from the last stays put
+        if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && (target < 0 || target >= items.length)) return;
+        this.focusItem(target);
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GridNavigator;
+}
@@ -0,0 +1,117 @@
+/**
+ * Kid-Friendly Word Learning Website - Kiosk Mode
+ * Keeps a child on one language's word list (or its game) until a parent enters their PIN
+ */
+
+class KioskMode {
+    constructor(storage, storageKey = 'wordApp.kiosk') {
+        this.storage = storage === undefined ? ProgressStore.getDefaultStorage() : storage;
+        this.storageKey = storageKey;
+        this.data = this.load();
+    }
+
+    /**
+     * Load kiosk state from storage
+     */
+    load() {
+        if (!this.storage) return { enabled: false };
+
+        try {
+            const parsed = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+            return parsed && parsed.enabled ? parsed : { enabled: false };
+        } catch (error) {
+            console.error('Error loading kiosk mode:', error);
+            return { enabled: false };
+        }
+    }
+
+    /**
+     * Save kiosk state to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.error('Error saving kiosk mode:', error);
+        }
+    }
+
+    /**
+     * Check if kiosk mode can be used: hashing the PIN needs crypto.subtle, which only
+     * secure contexts (https or localhost) have, like the service worker
+     */
+    isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    /**
+     * Check if a child is locked in
+     */
+    isEnabled() {
+        return this.data.enabled === true;
+    }
+
+    /**
+     * Get the language pack id the child is locked into (e.g. 'english')
+     */
+    getLanguage() {
+        return this.data.language;
+    }
+
+    /**
+     * Check if the child is locked into the word game (not just the word page)
+     */
+    isGameLocked() {
+        return this.isEnabled() && this.data.game === true;
+    }
+
+    /**
+     * Lock the child into a language's words (or its game), protected by a 4-digit parent PIN
+     */
+    async enable(pin, language, game = false) {
+        if (!/^\d{4}$/.test(pin || '')) {
+            throw new Error('The parent PIN must be 4 digits');
+        }
+        if (!LanguagePacks.has(language)) {
+            throw new Error(`Kiosk mode can't lock unknown language ${language}`);
+        }
+
+        this.data = {
+            enabled: true,
+            language,
+            game: game === true,
+            pinHash: await this.hashPin(pin)
+        };
+        this.save();
+    }
+
+    /**
+     * Check a PIN and unlock if it matches. Resolves to true when unlocked.
+     */
+    async disable(pin) {
+        if (!this.isEnabled()) return true;
+        if (await this.hashPin(pin || '') !== this.data.pinHash) return false;
+
+        this.data = { enabled: false };
+        this.save();
+        return true;
+    }
+
+    /**
+     * Hash the PIN so it isn't readable in storage. This keeps small children out;
+     * it is not a security boundary.
+     */
+    async hashPin(pin) {
+        if (!this.isSupported()) throw new Error('Kiosk mode needs a secure (https) page');
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`wordApp.kiosk:${pin}`));
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KioskMode;
+}
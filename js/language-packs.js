@@ -0,0 +1,448 @@
+/**
+ * Kid-Friendly Word Learning Website - Language Packs
+ * Registry of the languages the site can teach. Adding a language means registering
+ * a pack (in its own script, loaded after this one) and adding its word list under data/;
+ * its words are then at #/<route>/words.
+ *
+ * A language pack is a plain object:
+ *   id             - unique key, used for progress, profiles and game titles
+ *   name           - language name shown to parents (e.g. 'Canadian English')
+ *   flag           - emoji shown with the name
+ *   route          - short code used in URLs (e.g. 'en' for #/en/words)
+ *   wordFile       - JSON word list (e.g. 'data/english-words.json')
+ *   locale         - BCP-47 tag for speech synthesis and recognition (e.g. 'en-CA')
+ *   voices         - voice language tags to try, best first (e.g. ['en-CA', 'en-US', 'en'])
+ *   categoryLabels - display names for word categories
+ *   phonics        - puzzle model: alphabet, graphemes, markedLetters, rimePattern,
+ *                    categoryTargets, confusables and segmentation (see phonics-models.js)
+ *   strings        - interface text, keyed like the page's data-i18n attributes
+ *                    (missing keys fall back to the default pack)
+ *   navLabel       - optional link text for the pack's words, by interface language id
+ *                    (e.g. { english: 'French Words', french: 'Mots Français' });
+ *                    without one the link shows the flag and name
+ *   tagline        - optional line under the name on the home page language button
+ *   about          - optional "about these words" section for the words page:
+ *                    { title, topics: [{ title, text }], benefits: { title, items: [[label, text]] },
+ *                    notes: [{ title, paragraphs }] }. Words wrapped in *asterisks* are shown bold.
+ */
+
+class LanguagePackRegistry {
+    constructor() {
+        this.packs = new Map();
+        this.defaultPackId = null;
+    }
+
+    /**
+     * Register a language pack (the first one registered is the default)
+     */
+    register(pack) {
+        const required = ['id', 'route', 'wordFile', 'locale'];
+        const missing = required.filter(key => !pack || !pack[key]);
+        if (missing.length > 0) {
+            throw new Error(`Language pack needs ${missing.join(', ')}`);
+        }
+        this.packs.set(pack.id, {
+            voices: [pack.locale],
+            categoryLabels: {},
+            phonics: {},
+            strings: {},
+            ...pack
+        });
+        if (!this.defaultPackId) this.defaultPackId = pack.id;
+    }
+
+    /**
+     * Check if a pack is registered
+     */
+    has(id) {
+        return this.packs.has(id);
+    }
+
+    /**
+     * Get a pack by id, falling back to the default pack
+     */
+    get(id) {
+        return this.packs.get(id) || this.packs.get(this.defaultPackId);
+    }
+
+    /**
+     * Get all registered packs in registration order
+     */
+    list() {
+        return Array.from(this.packs.values());
+    }
+
+    /**
+     * Find the pack for a URL route code like 'en' (null if none)
+     */
+    findByRoute(route) {
+        return this.list().find(pack => pack.route === route) || null;
+    }
+}
+
+const LanguagePacks = new LanguagePackRegistry();
+
+LanguagePacks.register({
+    id: 'english',
+    name: 'Canadian English',
+    flag: '🇨🇦',
+    route: 'en',
+    wordFile: 'data/english-words.json',
+    locale: 'en-CA',
+    voices: ['en-CA', 'en-US', 'en'],
+    categoryLabels: {
+        'simple': 'Simple Words',
+        'digraph': 'Digraphs (sh, ch, th, ph, wh)',
+        'trigraph': 'Trigraphs (tch, igh, dge)',
+        'blend': 'Blends/Consonant Clusters',
+        'vowel_team': 'Vowel Teams (ea, oa, ai, ee)',
+        'diphthong': 'Diphthongs (oi, oy, ow, ou)',
+        'silent': 'Silent Letters',
+        'magic_e': 'Magic E (hop → hope)',
+        'r_controlled': 'R-controlled Vowels',
+        'double': 'Double Consonants',
+        'schwa': 'Schwa Sound',
+        'special': 'Special Characters'
+    },
+    phonics: PhonicsModels.english,
+    navLabel: { english: 'English Words', french: 'Mots Anglais' },
+    tagline: '3-4 Letter Words',
+    about: {
+        title: '📖 About English Word Categories',
+        topics: [
+            { title: '🔤 Simple Words', text: 'Basic CVC (consonant-vowel-consonant) words like *cat*, *dog*, *run*. Perfect for beginning readers!' },
+            { title: '📝 Digraphs', text: 'Two letters that make one sound: *sh* (ship), *ch* (chat), *th* (that), *ph* (phone), *wh* (when).' },
+            { title: '🎯 Trigraphs', text: 'Three letters, one sound: *tch* (catch), *igh* (light), *dge* (bridge). Advanced phonics patterns!' },
+            { title: '🔀 Blends', text: 'Consonant clusters: *bl* (blue), *st* (stop), *spr* (spring). Each letter sound is heard!' },
+            { title: '👥 Vowel Teams', text: 'Two vowels working together: *ea* (bean), *oa* (boat), *ai* (rain), *ee* (tree).' },
+            { title: '✨ Magic E', text: "Silent 'e' changes vowel sounds: *hop* → *hope*, *cap* → *cape*. Like magic!" }
+        ],
+        benefits: {
+            title: '🎓 Educational Benefits',
+            items: [
+                ['Phonemic Awareness:', 'Understanding letter-sound relationships'],
+                ['Vocabulary Building:', 'Expanding word knowledge through categories'],
+                ['Reading Fluency:', 'Quick word recognition skills'],
+                ['Spelling Patterns:', 'Learning common English spelling rules'],
+                ['Pronunciation:', 'Correct Canadian English pronunciation'],
+                ['Self-Paced Learning:', 'Children learn at their own speed']
+            ]
+        }
+    },
+    strings: {
+        homeDocumentTitle: 'Word Learning for Kids - Canadian English & French Words',
+        homeTitle: '🌟 Word Learning for Kids',
+        homeSubtitle: 'Fun Canadian English & French Word Adventures!',
+        documentTitle: 'Canadian English 3-4 Letter Words - Interactive Learning for Kids',
+        pageTitle: '🇨🇦 Canadian English Words',
+        pageSubtitle: 'Click words to hear them pronounced!',
+        navHome: 'Home',
+        navProgress: 'Progress',
+        currentWordPrompt: 'Click a word to hear it!',
+        tipLabel: 'Tip:',
+        tipText: 'Click the word above to repeat pronunciation!',
+        controlsTitle: '🎮 Learning Controls',
+        searchLabel: 'Search Words:',
+        searchPlaceholder: 'Type to search words or phonics...',
+        filterLabel: 'Filter by Category:',
+        allWords: 'All Words',
+        randomWords: '🎲 Show 20 Random Words',
+        history: '📝 Show Last 20 Clicked',
+        showAll: '📋 Show All 500+ Words',
+        bilingualCards: '🌉 Bilingual Cards',
+        wordListsButton: '📝 My Word Lists',
+        myLists: 'My Word Lists',
+        voiceButton: '🔊 Voice Settings',
+        clipButton: '🎙️ Record Words',
+        scanButton: '🔁 Switch Scanning',
+        scanSpeed: 'Scan speed:',
+        keyboardHelp: '⌨️ Keys: / search, R random words, H last clicked, G word game, arrows move between words, S sounds out a word',
+        puzzleBlank: 'blank',
+        announceQuestion: 'Question {number} of {total}.',
+        announceTimeLeft: '{seconds} seconds left',
+        announceResults: 'Game complete! Final score: {score}.',
+        kioskButton: '🔒 Kiosk Mode',
+        wordsHeading: '🎵 English Words Collection - Click Any Word to Hear It!',
+        loading: 'Loading words...',
+        gameButton: 'Word Game',
+        gameButtonTitle: 'Play English Word Games!',
+        gameButtonLabel: 'Open word game',
+        reviewButton: 'Today\'s Review',
+        reviewButtonTitle: 'Review today\'s words',
+        reviewButtonLabel: 'Start today\'s review',
+        kioskExit: 'Parent: unlock kiosk mode',
+        kioskTitle: '🔒 Kiosk Mode',
+        kioskUnlockTitle: '🔓 Parent Unlock',
+        kioskMessage: 'Keep your child on this page. The menu is hidden and you\'ll need your PIN to leave.',
+        kioskUnlockMessage: 'Enter your parent PIN to unlock.',
+        kioskLockTo: 'Lock to:',
+        kioskWords: 'This word page',
+        kioskGame: 'The word game',
+        kioskPin: 'Parent PIN (4 digits):',
+        kioskBadPin: 'Please enter 4 digits.',
+        kioskWrongPin: 'That PIN is not right. Try again.',
+        kioskLock: '🔒 Lock',
+        kioskUnlock: '🔓 Unlock',
+        cancel: 'Cancel',
+        close: 'Close',
+        listEditorTitle: '📝 My Word Lists',
+        listChoose: 'List:',
+        listNew: '➕ New list',
+        listName: 'List name:',
+        listNamePlaceholder: 'Week 3 spelling',
+        listAddWord: 'Add a word:',
+        listAdd: '➕ Add',
+        listNewWord: 'New word! How does it sound?',
+        listPhonics: 'Phonics (e.g. sh-i-p):',
+        listCategory: 'Category:',
+        listEmpty: 'No words yet. Add some above!',
+        listRemoveWord: 'Remove',
+        listAlreadyAdded: 'That word is already in the list.',
+        listSave: '✅ Save List',
+        listDelete: '🗑️ Delete List',
+        listSaved: 'Saved "{name}"!',
+        listDeleteConfirm: 'Delete the list "{name}"?',
+        voiceTitle: '🔊 Voice Settings',
+        voiceAuto: 'Automatic (best match)',
+        voiceNone: 'No voice for this language on this device',
+        voicePreview: '▶️ Try it',
+        voiceSample: 'Hello! Let\'s read some words together.',
+        voiceRate: 'Speed:',
+        voicePitch: 'Pitch:',
+        voiceVolume: 'Volume:',
+        voiceSave: '✅ Save',
+        voiceReset: '↩️ Defaults',
+        voiceSaved: 'Voice settings saved!',
+        clipTitle: '🎙️ Record Words',
+        clipIntro: 'Record how a word sounds. Your recording plays instead of the computer voice.',
+        clipWord: 'Word:',
+        clipRecord: '⏺️ Record',
+        clipStop: '⏹️ Stop',
+        clipPlay: '▶️ Play',
+        clipDelete: '🗑️ Delete Recording',
+        clipRecorded: 'Recorded words:',
+        clipEmpty: 'No recordings yet.',
+        clipRecording: 'Recording... say the word now!',
+        clipHas: '"{word}" has a recording.',
+        clipNone: 'No recording for "{word}" yet.',
+        clipUnknownWord: 'That word isn\'t in the word list.',
+        clipSaved: 'Saved the recording of "{word}"!',
+        clipDeleted: 'Deleted the recording of "{word}".',
+        clipDeleteConfirm: 'Delete the recording of "{word}"?',
+        clipMicBlocked: 'The microphone is blocked. Allow it in the browser to record.',
+        clipError: 'Something went wrong with the recording. Please try again.',
+        gameSettings: 'Game settings',
+        listenAgain: '🔊 Listen Again',
+        soundOut: '🐢 Sound It Out',
+        soundOutLabel: 'Sound out',
+        pictureClue: 'Picture clue',
+        micLabel: 'Start listening',
+        gameComplete: '🎉 Game Complete!',
+        finalScore: 'Final Score:',
+        tryAnotherGame: 'Try another game:',
+        playAgain: '🎮 Play Again',
+        closeResults: '❌ Close',
+        settingsButton: '⚙️ Settings',
+        settingsTitle: '⚙️ Game Settings',
+        settingMode: 'Game Type:',
+        settingQuestions: 'Number of Questions:',
+        settingTimer: 'Time per Question:',
+        secondsOption: '{n} seconds',
+        noTimer: 'No timer',
+        settingDifficulty: 'Difficulty:',
+        difficultyEasy: 'Easy words only',
+        difficultyMixed: 'Mix of easy and hard',
+        difficultyHard: 'Hard words only',
+        settingCategories: 'Categories (none checked = all):',
+        savePlay: '✅ Save & Play',
+        updateReady: '🆕 New words are ready!',
+        update: 'Update',
+        later: 'Later'
+    }
+});
+
+LanguagePacks.register({
+    id: 'french',
+    name: 'Canadian French',
+    flag: '🇫🇷',
+    route: 'fr',
+    wordFile: 'data/french-words.json',
+    locale: 'fr-CA',
+    voices: ['fr-CA', 'fr-FR', 'fr'],
+    categoryLabels: {
+        'simple': 'Mots Simples',
+        'digraph': 'Digrammes (ch, ph, gn, qu)',
+        'blend': 'Groupes de Consonnes (bl, tr, cr)',
+        'vowel_team': 'Sons Voyelles (ou, oi, eau, ai)',
+        'silent': 'Lettres Muettes',
+        'double': 'Consonnes Doubles',
+        'schwa': 'E Muet',
+        'special': 'Caractères Spéciaux'
+    },
+    phonics: PhonicsModels.french,
+    navLabel: { english: 'French Words', french: 'Mots Français' },
+    tagline: 'Mots de 3-4 Lettres',
+    about: {
+        title: '📖 À Propos des Catégories de Mots Français',
+        topics: [
+            { title: '🔤 Mots Simples', text: 'Mots de base comme *ami*, *bon*, *rue*. Parfait pour les débutants en lecture!' },
+            { title: '📝 Digrammes', text: 'Deux lettres qui font un son: *ch* (chat), *ph* (photo), *th* (thé), *gn* (ligne).' },
+            { title: '🎯 Mélanges', text: 'Groupes de consonnes: *bl* (bleu), *cl* (clé), *tr* (trois), *pr* (prix). Chaque son de lettre est entendu!' },
+            { title: '👥 Équipes de Voyelles', text: 'Deux voyelles travaillant ensemble: *eau* (bateau), *ou* (loup), *oi* (roi), *ai* (pain).' },
+            { title: '🔇 Lettres Muettes', text: "Lettres qu'on ne prononce pas: *temps*, *doigt*, *vingt*. Important en français!" },
+            { title: '🔀 Consonnes Doubles', text: 'Consonnes répétées: *bille*, *motte*, *bulle*. Sons spéciaux français!' }
+        ],
+        benefits: {
+            title: '🎓 Avantages Éducatifs',
+            items: [
+                ['Conscience Phonémique:', 'Comprendre les relations lettre-son'],
+                ['Construction de Vocabulaire:', 'Élargir les connaissances des mots par catégories'],
+                ['Fluidité de Lecture:', 'Compétences de reconnaissance rapide des mots'],
+                ["Modèles d'Orthographe:", "Apprendre les règles d'orthographe françaises communes"],
+                ['Prononciation:', 'Prononciation française canadienne correcte'],
+                ['Apprentissage Auto-rythmé:', 'Les enfants apprennent à leur propre vitesse']
+            ]
+        },
+        notes: [
+            {
+                title: '🇫🇷 Particularités du Français Canadien',
+                paragraphs: [
+                    "Notre collection inclut des mots spécifiquement choisis pour refléter le français canadien, avec des prononciations authentiques et des mots couramment utilisés au Canada. Les enfants apprendront le français tel qu'il est parlé au Québec et dans les communautés francophones du Canada.",
+                    '*Caractéristiques spéciales:* Voyelles nasales, R roulé québécois, intonation particulière, et vocabulaire propre au français nord-américain.'
+                ]
+            }
+        ]
+    },
+    strings: {
+        documentTitle: 'Mots Français Canadiens 3-4 Lettres - Apprentissage Interactif pour Enfants',
+        pageTitle: '🇫🇷 Mots Français Canadiens',
+        pageSubtitle: 'Cliquez sur les mots pour les entendre!',
+        navHome: 'Accueil',
+        navProgress: 'Progrès',
+        currentWordPrompt: 'Cliquez sur un mot pour l\'entendre!',
+        tipLabel: 'Astuce:',
+        tipText: 'Cliquez sur le mot ci-dessus pour répéter la prononciation!',
+        controlsTitle: '🎮 Contrôles d\'Apprentissage',
+        searchLabel: 'Rechercher des Mots:',
+        searchPlaceholder: 'Tapez pour rechercher des mots ou phonétique...',
+        filterLabel: 'Filtrer par Catégorie:',
+        allWords: 'Tous les Mots',
+        randomWords: '🎲 Afficher 20 Mots Aléatoires',
+        history: '📝 Afficher les 20 Derniers',
+        showAll: '📋 Afficher Tous les 500+ Mots',
+        bilingualCards: '🌉 Cartes Bilingues',
+        wordListsButton: '📝 Mes Listes de Mots',
+        myLists: 'Mes Listes de Mots',
+        voiceButton: '🔊 Réglages de la Voix',
+        clipButton: '🎙️ Enregistrer des Mots',
+        scanButton: '🔁 Défilement Automatique',
+        scanSpeed: 'Vitesse de défilement :',
+        keyboardHelp: '⌨️ Touches : / recherche, R mots au hasard, H derniers mots, G jeu, flèches pour changer de mot, S dit le mot son par son',
+        puzzleBlank: 'trou',
+        announceQuestion: 'Question {number} sur {total}.',
+        announceTimeLeft: 'Encore {seconds} secondes',
+        announceResults: 'Jeu terminé ! Score final : {score}.',
+        kioskButton: '🔒 Mode Kiosque',
+        wordsHeading: '🎵 Collection de Mots Français - Cliquez sur n\'importe quel mot pour l\'entendre!',
+        loading: 'Chargement des mots...',
+        gameButton: 'Jeu De Mots',
+        gameButtonTitle: 'Jouer aux Jeux de Mots Français!',
+        gameButtonLabel: 'Ouvrir le jeu de mots',
+        reviewButton: 'Révision du Jour',
+        reviewButtonTitle: 'Réviser les mots du jour',
+        reviewButtonLabel: 'Commencer la révision du jour',
+        kioskExit: 'Parent : déverrouiller le mode kiosque',
+        kioskTitle: '🔒 Mode Kiosque',
+        kioskUnlockTitle: '🔓 Déverrouillage Parent',
+        kioskMessage: 'Gardez votre enfant sur cette page. Le menu est caché et votre NIP sera demandé pour sortir.',
+        kioskUnlockMessage: 'Entrez votre NIP de parent pour déverrouiller.',
+        kioskLockTo: 'Verrouiller sur :',
+        kioskWords: 'Cette page de mots',
+        kioskGame: 'Le jeu de mots',
+        kioskPin: 'NIP de parent (4 chiffres) :',
+        kioskBadPin: 'Entrez 4 chiffres.',
+        kioskWrongPin: 'Ce NIP n\'est pas le bon. Réessayez.',
+        kioskLock: '🔒 Verrouiller',
+        kioskUnlock: '🔓 Déverrouiller',
+        cancel: 'Annuler',
+        close: 'Fermer',
+        listEditorTitle: '📝 Mes Listes de Mots',
+        listChoose: 'Liste :',
+        listNew: '➕ Nouvelle liste',
+        listName: 'Nom de la liste :',
+        listNamePlaceholder: 'Dictée semaine 3',
+        listAddWord: 'Ajouter un mot :',
+        listAdd: '➕ Ajouter',
+        listNewWord: 'Nouveau mot! Comment se prononce-t-il?',
+        listPhonics: 'Phonétique (ex. ch-at) :',
+        listCategory: 'Catégorie :',
+        listEmpty: 'Aucun mot pour l\'instant. Ajoutez-en ci-dessus!',
+        listRemoveWord: 'Retirer',
+        listAlreadyAdded: 'Ce mot est déjà dans la liste.',
+        listSave: '✅ Enregistrer la Liste',
+        listDelete: '🗑️ Supprimer la Liste',
+        listSaved: '« {name} » enregistrée!',
+        listDeleteConfirm: 'Supprimer la liste « {name} »?',
+        voiceTitle: '🔊 Réglages de la Voix',
+        voiceAuto: 'Automatique (meilleur choix)',
+        voiceNone: 'Aucune voix pour cette langue sur cet appareil',
+        voicePreview: '▶️ Essayer',
+        voiceSample: 'Bonjour! Lisons des mots ensemble.',
+        voiceRate: 'Vitesse :',
+        voicePitch: 'Hauteur :',
+        voiceVolume: 'Volume :',
+        voiceSave: '✅ Enregistrer',
+        voiceReset: '↩️ Par défaut',
+        voiceSaved: 'Réglages de la voix enregistrés!',
+        clipTitle: '🎙️ Enregistrer des Mots',
+        clipIntro: 'Enregistrez la prononciation d\'un mot. Votre enregistrement remplace la voix de l\'ordinateur.',
+        clipWord: 'Mot :',
+        clipRecord: '⏺️ Enregistrer',
+        clipStop: '⏹️ Arrêter',
+        clipPlay: '▶️ Écouter',
+        clipDelete: '🗑️ Supprimer l\'enregistrement',
+        clipRecorded: 'Mots enregistrés :',
+        clipEmpty: 'Aucun enregistrement pour l\'instant.',
+        clipRecording: 'Enregistrement... dites le mot maintenant!',
+        clipHas: '« {word} » a un enregistrement.',
+        clipNone: 'Pas encore d\'enregistrement pour « {word} ».',
+        clipUnknownWord: 'Ce mot n\'est pas dans la liste de mots.',
+        clipSaved: 'Enregistrement de « {word} » sauvegardé!',
+        clipDeleted: 'Enregistrement de « {word} » supprimé.',
+        clipDeleteConfirm: 'Supprimer l\'enregistrement de « {word} »?',
+        clipMicBlocked: 'Le micro est bloqué. Autorisez-le dans le navigateur pour enregistrer.',
+        clipError: 'Un problème est survenu avec l\'enregistrement. Veuillez réessayer.',
+        gameSettings: 'Paramètres du jeu',
+        listenAgain: '🔊 Écouter à nouveau',
+        soundOut: '🐢 Son par son',
+        soundOutLabel: 'Dire son par son',
+        pictureClue: 'Image indice',
+        micLabel: 'Commencer à écouter',
+        gameComplete: '🎉 Jeu Terminé!',
+        finalScore: 'Score Final:',
+        tryAnotherGame: 'Essaie un autre jeu:',
+        playAgain: '🎮 Rejouer',
+        closeResults: '❌ Fermer',
+        settingsButton: '⚙️ Paramètres',
+        settingsTitle: '⚙️ Paramètres du Jeu',
+        settingMode: 'Type de Jeu:',
+        settingQuestions: 'Nombre de Questions:',
+        settingTimer: 'Temps par Question:',
+        secondsOption: '{n} secondes',
+        noTimer: 'Sans minuterie',
+        settingDifficulty: 'Difficulté:',
+        difficultyEasy: 'Mots faciles seulement',
+        difficultyMixed: 'Mélange facile et difficile',
+        difficultyHard: 'Mots difficiles seulement',
+        settingCategories: 'Catégories (aucune cochée = toutes):',
+        savePlay: '✅ Enregistrer et Jouer',
+        updateReady: '🆕 De nouveaux mots sont prêts!',
+        update: 'Mettre à jour',
+        later: 'Plus tard'
+    }
+});
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LanguagePackRegistry, LanguagePacks };
+}
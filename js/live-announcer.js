@@ -0,0 +1,111 @@
+/**
+ * Kid-Friendly Word Learning Website - Live Announcer
+ * Reads short messages out to screen readers through visually hidden ARIA live regions.
+ * Messages that repeat quickly (like a countdown) share a throttle key, so only one of
+ * them is announced per interval instead of flooding the reader.
+ */
+
+class LiveAnnouncer {
+    /**
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.container] - Where the live regions go (inside a modal
+     *                                            dialog, so screen readers don't ignore them)
+     * @param {number} [options.minInterval] - Milliseconds between throttled announcements
+     */
+    constructor({ container = document.body, minInterval = 3000 } = {}) {
+        this.minInterval = minInterval;
+        this.polite = LiveAnnouncer.createRegion(container, 'status', 'polite');
+        this.assertive = LiveAnnouncer.createRegion(container, 'alert', 'assertive');
+        this.writeTimers = new Map(); // Pending region updates, by region
+        this.throttled = new Map(); // { lastAt, pending, timer } by throttle key
+    }
+
+    /**
+     * Add an empty, visually hidden live region to a container
+     */
+    static createRegion(container, role, politeness) {
+        const region = document.createElement('div');
+        region.className = 'visually-hidden';
+        region.setAttribute('role', role);
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        container.appendChild(region);
+        return region;
+    }
+
+    /**
+     * Announce a message
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {boolean} [options.assertive] - Interrupt whatever the reader is saying
+     * @param {string} [options.throttleKey] - Announce at most one message with this key per interval
+     */
+    announce(message, { assertive = false, throttleKey = null } = {}) {
+        if (!message) return;
+        if (!throttleKey) {
+            this.write(assertive ? this.assertive : this.polite, message);
+            return;
+        }
+
+        const entry = this.throttled.get(throttleKey) || { lastAt: -Infinity, pending: null, timer: null };
+        this.throttled.set(throttleKey, entry);
+        const wait = entry.lastAt + this.minInterval - Date.now();
+        if (wait <= 0 && !entry.timer) {
+            entry.lastAt = Date.now();
+            this.write(assertive ? this.assertive : this.polite, message);
+            return;
+        }
+
+        // Too soon: keep only the newest message and say it when the interval is up
+        entry.pending = { message, assertive };
+        if (!entry.timer) {
+            entry.timer = setTimeout(() => {
+                entry.timer = null;
+                if (!entry.pending) return;
+                entry.lastAt = Date.now();
+                this.write(entry.pending.assertive ? this.assertive : this.polite, entry.pending.message);
+                entry.pending = null;
+            }, wait);
+        }
+    }
+
+    /**
+     * Drop a throttled message that hasn't been announced yet (e.g. the countdown once
+     * the round is over)
+     */
+    cancel(throttleKey) {
+        const entry = this.throttled.get(throttleKey);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.pending = null;
+    }
+
+    /**
+     * Empty both regions and drop everything waiting to be announced
+     */
+    clear() {
+        this.throttled.forEach((entry, key) => this.cancel(key));
+        [this.polite, this.assertive].forEach(region => {
+            clearTimeout(this.writeTimers.get(region));
+            region.textContent = '';
+        });
+    }
+
+    /**
+     * Put a message in a region. The region is emptied first and filled a moment later,
+     * so the same message twice in a row is still read out.
+     */
+    write(region, message) {
+        clearTimeout(this.writeTimers.get(region));
+        region.textContent = '';
+        this.writeTimers.set(region, setTimeout(() => {
+            region.textContent = message;
+        }, 50));
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveAnnouncer;
+}
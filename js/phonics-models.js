@@ -0,0 +1,216 @@
+/**
+ * Kid-Friendly Word Learning Website - Phonics Models
+ * Per-language graphemes and confusable letters used to build game puzzles, and the
+ * spelling rules PhonicsSegmenter uses to propose phonics for new words
+ */
+
+// Visually or aurally similar single letters, shared by Latin-alphabet languages
+const LATIN_LETTER_CONFUSABLES = {
+    'A': ['E', 'I', 'O'],
+    'B': ['D', 'P', 'R'],
+    'C': ['G', 'O', 'Q'],
+    'D': ['B', 'O', 'P'],
+    'E': ['A', 'F', 'I'],
+    'F': ['E', 'P', 'T'],
+    'G': ['C', 'O', 'Q'],
+    'H': ['N', 'R', 'K'],
+    'I': ['A', 'E', 'L'],
+    'J': ['I', 'L', 'T'],
+    'K': ['H', 'R', 'X'],
+    'L': ['I', 'J', 'T'],
+    'M': ['N', 'H', 'W'],
+    'N': ['M', 'H', 'R'],
+    'O': ['C', 'G', 'Q'],
+    'P': ['B', 'D', 'F'],
+    'Q': ['C', 'G', 'O'],
+    'R': ['B', 'H', 'K'],
+    'S': ['C', 'G', 'Z'],
+    'T': ['F', 'J', 'L'],
+    'U': ['V', 'W', 'Y'],
+    'V': ['U', 'W', 'Y'],
+    'W': ['M', 'U', 'V'],
+    'X': ['K', 'Y', 'Z'],
+    'Y': ['U', 'V', 'X'],
+    'Z': ['S', 'X', 'Y']
+};
+
+const PhonicsModels = {
+    english: {
+        alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split(''),
+        // Graphemes to blank, in teaching priority order (digraphs, then s-blends)
+        graphemes: ['SH', 'CH', 'TH', 'PH', 'WH', 'ST', 'SP', 'SK', 'SM', 'SN', 'SL', 'SW', 'SC'],
+        // Single letters worth blanking before falling back to a random position
+        markedLetters: [],
+        // Spelling of the rhyming part: last vowel group to the end (c-at, c-ake, l-ight)
+        rimePattern: /[aeiouy]+[^aeiouy]*e?$/,
+        // Which phonics segment to blank for each word category
+        categoryTargets: {
+            'simple': /^[aeiou]$/,
+            'digraph': /^(sh|ch|th|ph|wh|ck|ng)$/,
+            'trigraph': /^(tch|igh|dge)$/,
+            'blend': /^(s[cklmnptw]|[bcfgps]l|[bcdfgpt]r|scr|spl|spr|str|squ|tw|dw)$/,
+            'vowel_team': /^(ai|ay|ea|ee|ey|ie|oa|oe|ue|ui|ew|oo|ow)$/,
+            'diphthong': /^(oi|oy|ou|ow|au|aw)$/,
+            'r_controlled': /^[aeiou]r$/,
+            'silent': /^(kn|wr|gn|mb|bt|lm|lk|gh|ps|rh|mn)$/,
+            'double': /^([b-df-hj-np-tv-z])\1$/,
+            'magic_e': /^[aeiou]$/, // The long vowel the silent e creates
+            'schwa': /^[^aeiou]*a$/ // Unstressed final "a" (so-fa, pan-da)
+        },
+        // How to split a new word into phonics, matching the word list (sh-i-p, c-a-ke, bl-i-nk)
+        segmentation: {
+            style: 'graphemes',
+            // Consonant groups kept together at the start of a word
+            onsets: [
+                'scr', 'spl', 'spr', 'str', 'squ', 'shr', 'thr',
+                'sh', 'ch', 'th', 'wh', 'ph', 'kn', 'wr', 'gn',
+                'bl', 'cl', 'fl', 'gl', 'pl', 'sl', 'br', 'cr', 'dr', 'fr', 'gr', 'pr', 'tr',
+                'sc', 'sk', 'sm', 'sn', 'sp', 'st', 'sw', 'tw', 'dw'
+            ],
+            // Letter groups that make one sound anywhere in the word
+            graphemes: [
+                'tch', 'igh', 'dge',
+                'ai', 'ay', 'ea', 'ee', 'ey', 'ie', 'oa', 'oe', 'ue', 'ui', 'ew', 'oo',
+                'oi', 'oy', 'ou', 'ow', 'au', 'aw',
+                'ar', 'er', 'ir', 'or', 'ur',
+                'sh', 'ch', 'th', 'ph', 'wh', 'ck', 'ng', 'nk', 'mb',
+                'll', 'ss', 'zz', 'ff'
+            ],
+            // Consonant groups kept together at the end of a word (p-oi-nt, m-oi-st)
+            codas: ['nk', 'nt', 'st'],
+            // Word endings read as one segment: the first group is the segment
+            endings: [
+                /^[^aeiouy]*[aeiouy]([^aeiouyrw]e)$/, // Magic e after one vowel (c-a-ke, ph-o-ne)
+                /[aeiouy]([^aeiouy]+a)$/ // Unstressed final syllable (so-fa, pi-zza)
+            ],
+            // Category of a new word: the first rule matching the word wins
+            categories: [
+                ['silent', /^(kn|wr|gn)|mb$/],
+                ['trigraph', /tch|igh|dge/],
+                ['diphthong', /oi|oy|ou/],
+                ['blend', /^(s[cklmnptw]|[bcfgps]l|[bcdfgpt]r|tw|dw)/],
+                ['diphthong', /ow|aw/],
+                ['digraph', /^(sh|ch|th|ph|wh)|(sh|ch|th|ph)$/],
+                ['r_controlled', /[aeiou]r/],
+                ['magic_e', /^[^aeiouy]*[aeiouy][^aeiouyrw]e$/],
+                ['vowel_team', /ai|ay|ea|ee|ey|ie|oa|oe|ue|ui|ew|oo/],
+                ['double', /([b-df-hj-np-tv-z])\1/],
+                ['schwa', /[aeiouy][^aeiouy]+a$/],
+                ['simple', /./]
+            ]
+        },
+        confusables: {
+            ...LATIN_LETTER_CONFUSABLES,
+            // Digraphs
+            'SH': ['CH', 'TH', 'PH'],
+            'CH': ['SH', 'TH', 'PH'],
+            'TH': ['SH', 'CH', 'PH'],
+            'PH': ['SH', 'CH', 'TH'],
+            'WH': ['SH', 'CH', 'TH'],
+            // Blends
+            'ST': ['SP', 'SK', 'SM'],
+            'SP': ['ST', 'SK', 'SM'],
+            'SK': ['ST', 'SP', 'SM'],
+            'SM': ['ST', 'SP', 'SK']
+        }
+    },
+
+    french: {
+        alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZÀÂÇÉÈÊËÎÏÔÙÛ'.split(''),
+        // Longest graphemes first so "EAU" wins over "AU" and "AIN" over "AI"
+        graphemes: [
+            'EAU', 'AIN', 'EIN', 'OIN', 'ŒU',
+            'OU', 'OI', 'AU', 'AI', 'EI', 'EU',
+            'ON', 'AN', 'EN', 'IN', 'UN',
+            'CH', 'GN', 'QU', 'PH', 'GU'
+        ],
+        // Accented letters are the spelling point of many French words
+        markedLetters: ['É', 'È', 'Ê', 'Ë', 'À', 'Â', 'Ç', 'Î', 'Ï', 'Ô', 'Ù', 'Û', 'Œ'],
+        // Spelling of the rhyming part: last vowel group to the end (ch-at, p-ain, b-eau)
+        rimePattern: /[aeiouyéèêàâîôûœ]+[^aeiouyéèêàâîôûœ]*(es?)?$/, // Keeps the consonant before a mute e
+        // Which phonics segment to blank for each word category
+        categoryTargets: {
+            'simple': /^.+$/,
+            'vowel_team': /(eau|eux|eu|ou|oi|ai|ei|au|ain|ein|oin)/,
+            'digraph': /^(ch|ph|gn|qu|th|gu)$/,
+            'blend': /^[bcdfgptv][lr]$/,
+            'silent': /[aeiouy].*([^aeiouyéèêàâîôû]{2}|[dgpstxz])$/, // Rime ending in silent letters
+            'double': /([bcdfglmnprst])\1/,
+            'schwa': /([bcdfglmnprst])\1|e$/
+        },
+        // How to split a new word into phonics, matching the word list (ch-at, b-eau, ba-t-eau)
+        segmentation: {
+            style: 'rime', // Onset, then the rime (see rimePattern); longer words split before it
+            // Consonant groups kept together at the start of a syllable
+            onsets: [
+                'phr', 'chr',
+                'ch', 'ph', 'gn', 'qu', 'gu', 'th',
+                'bl', 'cl', 'fl', 'gl', 'pl', 'br', 'cr', 'dr', 'fr', 'gr', 'pr', 'tr', 'vr',
+                'sc', 'sp', 'st'
+            ],
+            // Category of a new word: the first rule matching the word wins
+            categories: [
+                ['special', /œ/],
+                ['double', /(ll|tt)e$/],
+                ['schwa', /(mm|nn)e$/],
+                ['digraph', /^(ch|ph|th|gn)|gne$/],
+                ['blend', /^([bcdfgptv][lr]|s[cpt])/],
+                ['vowel_team', /eau|eu|ou|oi|ai|ei|au/],
+                ['silent', /[^aeiouyéèêàâîôûœ]{2}$|[bcdfgkpt][lr]e$/],
+                ['simple', /./]
+            ]
+        },
+        confusables: {
+            ...LATIN_LETTER_CONFUSABLES,
+            // Accented vowels and cedilla
+            'A': ['À', 'Â', 'E'],
+            'À': ['A', 'Â', 'E'],
+            'Â': ['A', 'À', 'O'],
+            'E': ['É', 'È', 'A'],
+            'É': ['È', 'Ê', 'E'],
+            'È': ['É', 'Ê', 'E'],
+            'Ê': ['É', 'È', 'E'],
+            'Ë': ['É', 'È', 'E'],
+            'I': ['Î', 'Y', 'E'],
+            'Î': ['I', 'Ï', 'Y'],
+            'Ï': ['I', 'Î', 'Y'],
+            'O': ['Ô', 'U', 'A'],
+            'Ô': ['O', 'AU', 'EAU'],
+            'U': ['Û', 'Ù', 'OU'],
+            'Ù': ['U', 'Û', 'OU'],
+            'Û': ['U', 'Ù', 'OU'],
+            'C': ['Ç', 'K', 'S'],
+            'Ç': ['C', 'S', 'SS'],
+            // Vowel teams
+            'EAU': ['AU', 'O', 'EU'],
+            'AU': ['EAU', 'O', 'OU'],
+            'OU': ['U', 'O', 'AU'],
+            'OI': ['OU', 'AI', 'UI'],
+            'AI': ['EI', 'È', 'É'],
+            'EI': ['AI', 'È', 'É'],
+            'EU': ['OU', 'EAU', 'U'],
+            'ŒU': ['EU', 'OU', 'Œ'],
+            'Œ': ['E', 'O', 'EU'],
+            // Nasal vowels
+            'AIN': ['EIN', 'IN', 'AN'],
+            'EIN': ['AIN', 'IN', 'EN'],
+            'OIN': ['OI', 'IN', 'AIN'],
+            'AN': ['EN', 'ON', 'IN'],
+            'EN': ['AN', 'ON', 'IN'],
+            'ON': ['AN', 'EN', 'OU'],
+            'IN': ['AIN', 'UN', 'AN'],
+            'UN': ['IN', 'ON', 'AN'],
+            // Consonant digraphs
+            'CH': ['SH', 'C', 'J'],
+            'GN': ['NI', 'N', 'NG'],
+            'QU': ['K', 'C', 'Q'],
+            'PH': ['F', 'P', 'TH'],
+            'GU': ['G', 'QU', 'J']
+        }
+    }
+};
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhonicsModels;
+}
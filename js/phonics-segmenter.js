@@ -0,0 +1,161 @@
+/**
+ * Kid-Friendly Word Learning Website - Phonics Segmenter
+ * Proposes phonics (c-a-ke) and a category (magic_e) for a word that isn't in the word
+ * list yet, using the language's segmentation rules in phonics-models.js. Shared by the
+ * word list editor and scripts/lint-data.js; proposals are a starting point to check,
+ * not ground truth.
+ */
+
+class PhonicsSegmenter {
+    /**
+     * @param {Object} model - A language pack's phonics model (LanguagePacks.get(id).phonics)
+     */
+    constructor(model = {}) {
+        this.rimePattern = model.rimePattern || null;
+        this.rules = {
+            style: 'graphemes',
+            onsets: [],
+            graphemes: [],
+            codas: [],
+            endings: [],
+            categories: [],
+            ...(model.segmentation || {})
+        };
+        // Longest first, so "str" wins over "st"
+        ['onsets', 'graphemes', 'codas'].forEach(key => {
+            this.rules[key] = [...this.rules[key]].sort((a, b) => b.length - a.length);
+        });
+    }
+
+    /**
+     * Test for a vowel letter, accented ones included
+     */
+    static isVowel(letter) {
+        return /[aeiouyàâäéèêëîïôöùûüœæ]/.test(letter);
+    }
+
+    /**
+     * Propose phonics and a category for a word ({ phonics: '', category: null } if blank)
+     */
+    suggest(word) {
+        const text = (word || '').trim();
+        return {
+            phonics: this.segment(text),
+            category: this.guessCategory(text)
+        };
+    }
+
+    /**
+     * Split a word into phonics segments joined by dashes. The segments always spell the
+     * word, silent letters included.
+     */
+    segment(word) {
+        const text = (word || '').trim();
+        if (!text) return '';
+
+        const segments = this.rules.style === 'rime' ? this.segmentRime(text) : this.segmentGraphemes(text);
+        return segments.filter(Boolean).join('-');
+    }
+
+    /**
+     * Sound-by-sound split: onset, then graphemes, with the model's codas and endings
+     * kept whole (sh-i-p, bl-i-nk, c-a-ke)
+     */
+    segmentGraphemes(word) {
+        const lower = word.toLowerCase();
+        let end = word.length;
+        let ending = '';
+        for (const pattern of this.rules.endings) {
+            const match = lower.match(pattern);
+            if (match && match[1] && match[1].length < word.length) {
+                ending = word.slice(word.length - match[1].length);
+                end -= ending.length;
+                break;
+            }
+        }
+
+        const segments = [];
+        let i = 0;
+        const onset = this.findPrefix(lower, this.rules.onsets);
+        if (onset && onset.length < end) {
+            segments.push(word.slice(0, onset.length));
+            i = onset.length;
+        }
+
+        while (i < end) {
+            const rest = lower.slice(i, end);
+            const coda = !ending && segments.length > 0 && this.rules.codas.includes(rest) ? rest : null;
+            const size = coda ? coda.length : (this.findPrefix(rest, this.rules.graphemes) || rest[0]).length;
+            segments.push(word.slice(i, i + size));
+            i += size;
+        }
+
+        segments.push(ending);
+        return segments;
+    }
+
+    /**
+     * Onset-rime split: the word's onset, then its rime (rimePattern). Longer words also
+     * split off the last syllable's onset (ch-at, b-eau, ba-t-eau, a-mi).
+     */
+    segmentRime(word) {
+        const lower = word.toLowerCase();
+        const onsetLength = this.findOnsetLength(lower);
+        const rest = lower.slice(onsetLength);
+        const rime = this.rimePattern ? rest.match(this.rimePattern) : null;
+        if (!rime || !rest) return [word];
+
+        const middle = rest.slice(0, rime.index);
+        if (!middle) return [word.slice(0, onsetLength), word.slice(onsetLength)];
+
+        // The last syllable's onset: a known onset or doubled letter, else one consonant
+        let start = middle.length;
+        while (start > 0 && !PhonicsSegmenter.isVowel(middle[start - 1])) start--;
+        const consonants = middle.slice(start);
+        let syllableOnset = consonants.slice(-1);
+        if (consonants.length >= 2 && (this.rules.onsets.includes(consonants.slice(-2)) ||
+            consonants.slice(-1) === consonants.slice(-2, -1))) {
+            syllableOnset = consonants.slice(-2);
+        }
+
+        const split = onsetLength + middle.length - syllableOnset.length;
+        // A word that opens on a vowel and ends on one keeps its last syllable whole (a-mi, au-ssi)
+        if (onsetLength === 0 && rime[0].length === 1 && PhonicsSegmenter.isVowel(rime[0])) {
+            return [word.slice(0, split), word.slice(split)];
+        }
+        return [word.slice(0, split), word.slice(split, onsetLength + rime.index), word.slice(onsetLength + rime.index)];
+    }
+
+    /**
+     * Length of a word's onset: a known onset, else its leading consonants
+     */
+    findOnsetLength(lower) {
+        const known = this.findPrefix(lower, this.rules.onsets);
+        if (known) return known.length;
+        let length = 0;
+        while (length < lower.length && !PhonicsSegmenter.isVowel(lower[length])) length++;
+        return length < lower.length ? length : 0;
+    }
+
+    /**
+     * Longest entry of `options` that `text` starts with (null if none)
+     */
+    findPrefix(text, options) {
+        return options.find(option => text.startsWith(option)) || null;
+    }
+
+    /**
+     * Guess a word's category from the model's rules (null if no rule matches)
+     */
+    guessCategory(word) {
+        const lower = (word || '').trim().toLowerCase();
+        if (!lower) return null;
+        const rule = this.rules.categories.find(([, pattern]) => pattern.test(lower));
+        return rule ? rule[0] : null;
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhonicsSegmenter;
+}
@@ -0,0 +1,175 @@
+/**
+ * Kid-Friendly Word Learning Website - Profile Store
+ * Keeps named child profiles (avatar, language, reading level, settings) in localStorage
+ */
+
+class ProfileStore {
+    constructor(storage, storageKey = 'wordApp.profiles') {
+        this.storage = storage === undefined ? ProgressStore.getDefaultStorage() : storage;
+        this.storageKey = storageKey;
+        this.data = this.load();
+    }
+
+    /**
+     * Avatars offered in the profile form
+     */
+    static get AVATARS() {
+        return ['🦊', '🐻', '🐼', '🐸', '🦁', '🐯', '🐨', '🐰', '🦄', '🐙', '🐢', '🦉'];
+    }
+
+    /**
+     * Reading levels offered in the profile form
+     */
+    static get READING_LEVELS() {
+        return {
+            'emerging': 'Just Starting (ages 3-5)',
+            'developing': 'Building Skills (ages 5-7)',
+            'fluent': 'Reading Well (ages 7-8)'
+        };
+    }
+
+    /**
+     * Create an empty profiles document
+     */
+    createEmptyData() {
+        return {
+            version: 1,
+            activeId: null,
+            profiles: []
+        };
+    }
+
+    /**
+     * Load profiles from storage
+     */
+    load() {
+        if (!this.storage) return this.createEmptyData();
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            if (!raw) return this.createEmptyData();
+
+            const parsed = JSON.parse(raw);
+            if (!parsed || !Array.isArray(parsed.profiles)) {
+                return this.createEmptyData();
+            }
+            return parsed;
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+            return this.createEmptyData();
+        }
+    }
+
+    /**
+     * Save profiles to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.error('Error saving profiles:', error);
+        }
+    }
+
+    /**
+     * Get all profiles in creation order
+     */
+    getProfiles() {
+        return [...this.data.profiles];
+    }
+
+    /**
+     * Get a profile by id (null if missing)
+     */
+    getProfile(id) {
+        return this.data.profiles.find(p => p.id === id) || null;
+    }
+
+    /**
+     * Get the profile currently using the app (null for anonymous use)
+     */
+    getActiveProfile() {
+        return this.getProfile(this.data.activeId);
+    }
+
+    /**
+     * Switch the active profile
+     */
+    setActiveProfile(id) {
+        this.data.activeId = this.getProfile(id) ? id : null;
+        this.save();
+        return this.getActiveProfile();
+    }
+
+    /**
+     * Create a new profile and make it active
+     */
+    createProfile({ name, avatar, language, readingLevel }) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Profile name is required');
+        }
+
+        const profile = {
+            id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: trimmedName.slice(0, 30),
+            avatar: ProfileStore.AVATARS.includes(avatar) ? avatar : ProfileStore.AVATARS[0],
+            language: LanguagePacks.has(language) ? language : LanguagePacks.get().id,
+            readingLevel: ProfileStore.READING_LEVELS[readingLevel] ? readingLevel : 'emerging',
+            settings: {},
+            createdAt: Date.now()
+        };
+
+        this.data.profiles.push(profile);
+        this.data.activeId = profile.id;
+        this.save();
+        return profile;
+    }
+
+    /**
+     * Remove a profile
+     */
+    deleteProfile(id) {
+        this.data.profiles = this.data.profiles.filter(p => p.id !== id);
+        if (this.data.activeId === id) {
+            this.data.activeId = null;
+        }
+        this.save();
+    }
+
+    /**
+     * Get the settings object for a profile (guest settings when no profile matches)
+     */
+    getSettingsOwner(id) {
+        const profile = this.getProfile(id);
+        if (profile) {
+            profile.settings = profile.settings || {};
+            return profile.settings;
+        }
+        this.data.guestSettings = this.data.guestSettings || {};
+        return this.data.guestSettings;
+    }
+
+    /**
+     * Get a settings group for a profile (empty object if unset)
+     */
+    getSettings(id, group) {
+        return { ...(this.getSettingsOwner(id)[group] || {}) };
+    }
+
+    /**
+     * Merge values into a settings group for a profile
+     */
+    updateSettings(id, group, values) {
+        const settings = this.getSettingsOwner(id);
+        settings[group] = { ...(settings[group] || {}), ...values };
+        this.save();
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileStore;
+}
@@ -0,0 +1,451 @@
+/**
+ * Kid-Friendly Word Learning Website - Progress Dashboard
+ * Renders a child's stored progress for parents and teachers (progress.html)
+ */
+
+class ProgressDashboard {
+    /**
+     * @param {WordLearningApp} app - Shared app (profiles and category names)
+     */
+    constructor(app) {
+        this.app = app;
+        this.profileId = app.activeProfile ? app.activeProfile.id : null;
+        this.language = LanguagePacks.get(app.activeProfile ? app.activeProfile.language : null).id;
+        this.wordsByLanguage = {}; // Word data per language, loaded on demand
+        this.maxChartGames = 20;
+        this.maxMissedWords = 10;
+        this.transfer = new ProgressTransfer();
+        this.setup();
+    }
+
+    /**
+     * Fill the child and language pickers and draw the dashboard
+     */
+    setup() {
+        const profileSelect = document.getElementById('dashboard-profile');
+        const languageSelect = document.getElementById('dashboard-language');
+
+        if (profileSelect) {
+            profileSelect.innerHTML = '';
+            profileSelect.appendChild(new Option('👤 Guest', ''));
+            this.app.profiles.getProfiles().forEach(profile => {
+                profileSelect.appendChild(new Option(`${profile.avatar} ${profile.name}`, profile.id));
+            });
+            profileSelect.value = this.profileId || '';
+            profileSelect.addEventListener('change', () => {
+                this.profileId = profileSelect.value || null;
+                this.render();
+            });
+        }
+
+        if (languageSelect) {
+            languageSelect.innerHTML = '';
+            LanguagePacks.list().forEach(pack => {
+                languageSelect.appendChild(new Option(`${pack.flag || ''} ${pack.name || pack.id}`.trim(), pack.id));
+            });
+            languageSelect.value = this.language;
+            languageSelect.addEventListener('change', () => {
+                this.language = languageSelect.value;
+                this.render();
+            });
+        }
+
+        this.setupTransfer();
+        this.render();
+    }
+
+    /**
+     * Wire up the backup export and import controls
+     */
+    setupTransfer() {
+        const exportJsonBtn = document.getElementById('export-json-btn');
+        if (exportJsonBtn) {
+            exportJsonBtn.addEventListener('click', () => this.exportJSON());
+        }
+
+        const exportCsvBtn = document.getElementById('export-csv-btn');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', () => this.exportCSV());
+        }
+
+        const importInput = document.getElementById('import-file');
+        if (importInput) {
+            importInput.addEventListener('change', async () => {
+                const file = importInput.files && importInput.files[0];
+                if (file) await this.importBackup(file);
+                importInput.value = ''; // Allow picking the same file again
+            });
+        }
+    }
+
+    /**
+     * Get the progress store for the selected child
+     */
+    getProgressStore() {
+        return new ProgressStore(undefined, ProgressStore.keyForProfile(this.profileId));
+    }
+
+    /**
+     * Download the selected child's progress, history and settings as a JSON backup
+     */
+    exportJSON() {
+        const profile = this.app.profiles.getProfile(this.profileId);
+        const backup = this.transfer.createExport(profile, this.getProgressStore(), this.app.profiles.getSettingsOwner(null));
+        this.transfer.download(this.transfer.getFileName(profile, 'json'), JSON.stringify(backup, null, 2), 'application/json');
+        this.showTransferStatus('✅ Backup downloaded.');
+    }
+
+    /**
+     * Download per-word results as a CSV for spreadsheets
+     */
+    async exportCSV() {
+        const profile = this.app.profiles.getProfile(this.profileId);
+        const progress = this.getProgressStore();
+        const wordsByLanguage = {};
+        for (const language of Object.keys(progress.data.languages)) {
+            wordsByLanguage[language] = await this.loadWords(language);
+        }
+        const getCategory = (language, word) => {
+            const wordObj = wordsByLanguage[language] && wordsByLanguage[language].get(word);
+            return wordObj ? wordObj.category : '';
+        };
+        this.transfer.download(this.transfer.getFileName(profile, 'csv'), this.transfer.createCSV(progress, getCategory), 'text/csv');
+        this.showTransferStatus('✅ Spreadsheet downloaded.');
+    }
+
+    /**
+     * Validate a backup file and merge it into the selected child's progress and settings
+     */
+    async importBackup(file) {
+        try {
+            const backup = this.transfer.parseImport(await file.text());
+            this.getProgressStore().merge(backup.progress);
+            Object.entries(backup.settings).forEach(([group, values]) => {
+                this.app.profiles.updateSettings(this.profileId, group, values);
+            });
+
+            const profile = this.app.profiles.getProfile(this.profileId);
+            const from = backup.profile ? ` from ${backup.profile.name}'s backup` : '';
+            this.showTransferStatus(`✅ Progress${from} added to ${profile ? profile.name : 'Guest'}.`);
+            this.render();
+        } catch (error) {
+            console.error('Error importing backup:', error);
+            this.showTransferStatus(`⚠️ ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Show the result of an export or import
+     */
+    showTransferStatus(message, isError = false) {
+        const status = document.getElementById('transfer-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Load the word list for a language (used to look up word categories)
+     */
+    async loadWords(language) {
+        if (this.wordsByLanguage[language]) return this.wordsByLanguage[language];
+
+        try {
+            const response = await fetch(LanguagePacks.get(language).wordFile);
+            if (!response.ok) {
+                throw new Error(`Failed to load words: ${response.status} ${response.statusText}`);
+            }
+            const words = await response.json();
+            this.wordsByLanguage[language] = new Map();
+            words.forEach(w => {
+                if (w && w.word && !this.wordsByLanguage[language].has(w.word)) {
+                    this.wordsByLanguage[language].set(w.word, w);
+                }
+            });
+        } catch (error) {
+            console.error('Error loading words for dashboard:', error);
+            return new Map(); // Categories show as unknown, everything else still renders
+        }
+        return this.wordsByLanguage[language];
+    }
+
+    /**
+     * Draw every dashboard section for the selected child and language
+     */
+    async render() {
+        const progress = this.getProgressStore();
+        const words = await this.loadWords(this.language);
+
+        this.renderSummary(progress);
+        this.renderScoreChart(progress.getGames(this.language));
+        this.renderCategoryAccuracy(this.getCategoryAccuracy(progress, words));
+        this.renderMissedWords(progress.getMissedWords(this.language, this.maxMissedWords), words);
+    }
+
+    /**
+     * Show headline numbers: games, average score, time spent, words practiced
+     */
+    renderSummary(progress) {
+        const container = document.getElementById('dashboard-summary');
+        if (!container) return;
+
+        const games = progress.getGames(this.language);
+        const wordEntries = Object.values(progress.getLanguage(this.language).words);
+        const answered = games.reduce((total, game) => total + game.totalQuestions, 0);
+        const correct = games.reduce((total, game) => total + game.score, 0);
+
+        const stats = [
+            { icon: '🎮', label: 'Games Played', value: games.length },
+            { icon: '🎯', label: 'Average Score', value: answered > 0 ? `${Math.round((correct / answered) * 100)}%` : '—' },
+            { icon: '⏱️', label: 'Time Playing', value: this.formatDuration(progress.getTotalGameTime(this.language)) },
+            { icon: '📖', label: 'Words Practiced', value: wordEntries.filter(entry => entry.attempts > 0).length },
+            { icon: '🔊', label: 'Words Heard', value: wordEntries.filter(entry => entry.heard > 0).length }
+        ];
+
+        container.innerHTML = '';
+        stats.forEach(stat => {
+            const card = document.createElement('div');
+            card.className = 'stat-card';
+
+            const value = document.createElement('div');
+            value.className = 'stat-value';
+            value.textContent = `${stat.icon} ${stat.value}`;
+
+            const label = document.createElement('div');
+            label.className = 'stat-label';
+            label.textContent = stat.label;
+
+            card.append(value, label);
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * Draw recent game scores as an SVG bar chart (percent correct per game)
+     */
+    renderScoreChart(games) {
+        const container = document.getElementById('score-chart');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const recentGames = games.slice(-this.maxChartGames);
+        if (recentGames.length === 0) {
+            container.appendChild(this.createEmptyMessage('No games played yet. Scores will show up here after the first game!'));
+            return;
+        }
+
+        const width = 600;
+        const height = 220;
+        const padding = { top: 10, right: 10, bottom: 30, left: 40 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const slot = plotWidth / recentGames.length;
+        const barWidth = Math.min(40, slot * 0.7);
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('class', 'score-chart-svg');
+        svg.setAttribute('role', 'img');
+        const percentages = recentGames.map(game => game.totalQuestions > 0 ? Math.round((game.score / game.totalQuestions) * 100) : 0);
+        svg.setAttribute('aria-label', `Scores for the last ${recentGames.length} games: ${percentages.map(p => `${p}%`).join(', ')}`);
+
+        // Grid lines at 0, 50 and 100 percent
+        [0, 50, 100].forEach(level => {
+            const y = padding.top + plotHeight - (level / 100) * plotHeight;
+            const line = document.createElementNS(svgNS, 'line');
+            line.setAttribute('x1', padding.left);
+            line.setAttribute('x2', width - padding.right);
+            line.setAttribute('y1', y);
+            line.setAttribute('y2', y);
+            line.setAttribute('class', 'chart-grid');
+            svg.appendChild(line);
+
+            const label = document.createElementNS(svgNS, 'text');
+            label.setAttribute('x', padding.left - 6);
+            label.setAttribute('y', y + 4);
+            label.setAttribute('text-anchor', 'end');
+            label.setAttribute('class', 'chart-label');
+            label.textContent = `${level}%`;
+            svg.appendChild(label);
+        });
+
+        recentGames.forEach((game, index) => {
+            const percentage = percentages[index];
+            const barHeight = Math.max(2, (percentage / 100) * plotHeight);
+            const x = padding.left + index * slot + (slot - barWidth) / 2;
+
+            const bar = document.createElementNS(svgNS, 'rect');
+            bar.setAttribute('x', x);
+            bar.setAttribute('y', padding.top + plotHeight - barHeight);
+            bar.setAttribute('width', barWidth);
+            bar.setAttribute('height', barHeight);
+            bar.setAttribute('rx', 4);
+            bar.setAttribute('class', `chart-bar ${this.getScoreClass(percentage)}`);
+
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = `${new Date(game.date).toLocaleDateString()}: ${game.score}/${game.totalQuestions} (${percentage}%)`;
+            bar.appendChild(title);
+            svg.appendChild(bar);
+
+            const label = document.createElementNS(svgNS, 'text');
+            label.setAttribute('x', x + barWidth / 2);
+            label.setAttribute('y', height - 10);
+            label.setAttribute('text-anchor', 'middle');
+            label.setAttribute('class', 'chart-label');
+            label.textContent = games.length - recentGames.length + index + 1;
+            svg.appendChild(label);
+        });
+
+        container.appendChild(svg);
+    }
+
+    /**
+     * Total game attempts and correct answers per word category
+     */
+    getCategoryAccuracy(progress, words) {
+        const totals = new Map();
+
+        Object.entries(progress.getLanguage(this.language).words).forEach(([word, entry]) => {
+            if (!entry.attempts) return;
+            const wordObj = words.get(word);
+            const category = wordObj ? wordObj.category : 'unknown';
+            const total = totals.get(category) || { category, attempts: 0, correct: 0 };
+            total.attempts += entry.attempts;
+            total.correct += entry.correct;
+            totals.set(category, total);
+        });
+
+        return Array.from(totals.values())
+            .map(total => ({ ...total, accuracy: Math.round((total.correct / total.attempts) * 100) }))
+            .sort((a, b) => a.accuracy - b.accuracy); // Weakest first - that's what to practice next
+    }
+
+    /**
+     * Show accuracy bars per phonics category
+     */
+    renderCategoryAccuracy(categories) {
+        const container = document.getElementById('category-accuracy');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (categories.length === 0) {
+            container.appendChild(this.createEmptyMessage('Play a word game to see which sounds are easy and which need practice.'));
+            return;
+        }
+
+        categories.forEach(({ category, attempts, correct, accuracy }) => {
+            const row = document.createElement('div');
+            row.className = 'accuracy-row';
+
+            const name = document.createElement('span');
+            name.className = 'accuracy-name';
+            name.textContent = category === 'unknown' ? 'Other Words' : this.app.formatCategoryName(category, this.language);
+
+            const track = document.createElement('div');
+            track.className = 'accuracy-track';
+            track.setAttribute('role', 'meter');
+            track.setAttribute('aria-valuemin', '0');
+            track.setAttribute('aria-valuemax', '100');
+            track.setAttribute('aria-valuenow', accuracy);
+            track.setAttribute('aria-label', name.textContent);
+
+            const fill = document.createElement('div');
+            fill.className = `accuracy-fill ${this.getScoreClass(accuracy)}`;
+            fill.style.width = `${accuracy}%`;
+            track.appendChild(fill);
+
+            const value = document.createElement('span');
+            value.className = 'accuracy-value';
+            value.textContent = `${accuracy}% (${correct}/${attempts})`;
+
+            row.append(name, track, value);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the words missed most often
+     */
+    renderMissedWords(missedWords, words) {
+        const container = document.getElementById('missed-words');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (missedWords.length === 0) {
+            container.appendChild(this.createEmptyMessage('No missed words yet. 🌟'));
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'missed-words-table';
+        table.innerHTML = '<thead><tr><th scope="col">Word</th><th scope="col">Sounds</th><th scope="col">Missed</th><th scope="col">Correct</th><th scope="col">Last Practiced</th></tr></thead>';
+
+        const body = document.createElement('tbody');
+        missedWords.forEach(entry => {
+            const wordObj = words.get(entry.word);
+            const cells = [
+                entry.word,
+                wordObj ? wordObj.phonics : '',
+                entry.missed,
+                `${entry.correct}/${entry.attempts}`,
+                entry.lastSeen ? new Date(entry.lastSeen).toLocaleDateString() : '—'
+            ];
+
+            const row = document.createElement('tr');
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+
+        table.appendChild(body);
+        container.appendChild(table);
+    }
+
+    /**
+     * Color class for a percentage score
+     */
+    getScoreClass(percentage) {
+        if (percentage >= 80) return 'score-high';
+        if (percentage >= 50) return 'score-mid';
+        return 'score-low';
+    }
+
+    /**
+     * Format milliseconds as "1 h 5 min" / "12 min" / "40 s"
+     */
+    formatDuration(ms) {
+        const totalSeconds = Math.round(ms / 1000);
+        if (totalSeconds < 60) return `${totalSeconds} s`;
+
+        const totalMinutes = Math.round(totalSeconds / 60);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+    }
+
+    /**
+     * Create a friendly placeholder for an empty section
+     */
+    createEmptyMessage(text) {
+        const message = document.createElement('p');
+        message.className = 'dashboard-empty';
+        message.textContent = text;
+        return message;
+    }
+}
+
+// Start the dashboard after the main app is created
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('progress-dashboard') && window.wordApp) {
+        window.progressDashboard = new ProgressDashboard(window.wordApp);
+    }
+});
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressDashboard;
+}
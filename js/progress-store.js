@@ -0,0 +1,306 @@
+/**
+ * Kid-Friendly Word Learning Website - Progress Store
+ * Persists learner progress (words heard, game attempts, scores) in localStorage
+ */
+
+class ProgressStore {
+    constructor(storage, storageKey = 'wordApp.progress') {
+        this.storage = storage === undefined ? ProgressStore.getDefaultStorage() : storage;
+        this.storageKey = storageKey;
+        this.maxRecentWords = 20; // Same cap as the old in-memory history
+        this.maxGames = 100; // Keep score history bounded
+        // Leitner boxes: days until a word is due again, indexed by box number (index 0 is
+        // unused). Box 1 (just missed) comes back the same day; every later box waits at
+        // least a day, so a word answered correctly leaves today's review. A correct answer
+        // in the last box retires the word from review (mastered).
+        this.reviewIntervals = [null, 0, 1, 3, 7, 14];
+        this.maxBox = this.reviewIntervals.length - 1;
+        this.data = this.load();
+    }
+
+    /**
+     * Storage key for a child profile (anonymous use keeps the shared key)
+     */
+    static keyForProfile(profileId) {
+        return profileId ? `wordApp.progress.${profileId}` : 'wordApp.progress';
+    }
+
+    /**
+     * Get localStorage if the browser allows access to it
+     */
+    static getDefaultStorage() {
+        try {
+            if (typeof window === 'undefined' || !window.localStorage) return null;
+            const testKey = 'wordApp.storageTest';
+            window.localStorage.setItem(testKey, '1');
+            window.localStorage.removeItem(testKey);
+            return window.localStorage;
+        } catch (error) {
+            // Private browsing or storage disabled - fall back to memory only
+            return null;
+        }
+    }
+
+    /**
+     * Create an empty progress document
+     */
+    createEmptyData() {
+        return {
+            version: 1,
+            languages: {}
+        };
+    }
+
+    /**
+     * Load progress from storage
+     */
+    load() {
+        if (!this.storage) return this.createEmptyData();
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            if (!raw) return this.createEmptyData();
+
+            const parsed = JSON.parse(raw);
+            if (!parsed || typeof parsed !== 'object' || typeof parsed.languages !== 'object') {
+                return this.createEmptyData();
+            }
+            return parsed;
+        } catch (error) {
+            console.error('Error loading progress:', error);
+            return this.createEmptyData();
+        }
+    }
+
+    /**
+     * Save progress to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            // Quota exceeded or storage revoked - keep working from memory
+            console.error('Error saving progress:', error);
+        }
+    }
+
+    /**
+     * Remove all stored progress
+     */
+    clear() {
+        this.data = this.createEmptyData();
+        if (!this.storage) return;
+
+        try {
+            this.storage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('Error clearing progress:', error);
+        }
+    }
+
+    /**
+     * Merge another progress document into this one (e.g. from an imported backup).
+     * Counters keep the larger value so importing the same file twice changes nothing;
+     * review boxes come from whichever copy saw the word last.
+     */
+    merge(data) {
+        Object.entries(data.languages || {}).forEach(([language, incoming]) => {
+            const lang = this.getLanguage(language);
+
+            Object.entries(incoming.words || {}).forEach(([word, entry]) => {
+                const current = lang.words[word];
+                if (!current) {
+                    lang.words[word] = { ...entry };
+                    return;
+                }
+                const newer = (entry.lastSeen || 0) > (current.lastSeen || 0) ? entry : current;
+                lang.words[word] = {
+                    heard: Math.max(current.heard, entry.heard),
+                    lastSeen: newer.lastSeen,
+                    attempts: Math.max(current.attempts, entry.attempts),
+                    correct: Math.max(current.correct, entry.correct)
+                };
+                if (newer.box) {
+                    lang.words[word].box = newer.box;
+                    lang.words[word].due = newer.due;
+                    if (newer.mastered) lang.words[word].mastered = true;
+                }
+            });
+
+            const lastSeen = word => (lang.words[word] && lang.words[word].lastSeen) || 0;
+            lang.recent = Array.from(new Set([...lang.recent, ...(incoming.recent || [])]))
+                .sort((a, b) => lastSeen(b) - lastSeen(a))
+                .slice(0, this.maxRecentWords);
+
+            const gameKey = game => `${game.date}:${game.score}:${game.totalQuestions}`;
+            const known = new Set(lang.games.map(gameKey));
+            lang.games = [...lang.games, ...(incoming.games || []).filter(game => !known.has(gameKey(game)))]
+                .sort((a, b) => a.date - b.date)
+                .slice(-this.maxGames);
+        });
+
+        this.save();
+    }
+
+    /**
+     * Get (and create if missing) the progress bucket for a language
+     */
+    getLanguage(language) {
+        if (!this.data.languages[language]) {
+            this.data.languages[language] = {
+                words: {},
+                recent: [],
+                games: []
+            };
+        }
+        return this.data.languages[language];
+    }
+
+    /**
+     * Get (and create if missing) the stats entry for a word
+     */
+    getWordEntry(language, word) {
+        const lang = this.getLanguage(language);
+        if (!lang.words[word]) {
+            lang.words[word] = {
+                heard: 0,
+                lastSeen: null,
+                attempts: 0,
+                correct: 0
+            };
+        }
+        return lang.words[word];
+    }
+
+    /**
+     * Record that a word was heard (clicked on the words grid)
+     */
+    recordHeard(language, word) {
+        const entry = this.getWordEntry(language, word);
+        entry.heard++;
+        entry.lastSeen = Date.now();
+
+        // Move word to the front of the recent list
+        const lang = this.getLanguage(language);
+        lang.recent = [word, ...lang.recent.filter(w => w !== word)].slice(0, this.maxRecentWords);
+
+        this.save();
+    }
+
+    /**
+     * Record a game answer for a word
+     */
+    recordAttempt(language, word, isCorrect) {
+        const entry = this.getWordEntry(language, word);
+        entry.attempts++;
+        if (isCorrect) entry.correct++;
+        entry.lastSeen = Date.now();
+        this.scheduleReview(entry, isCorrect);
+        this.save();
+    }
+
+    /**
+     * Move a word between Leitner boxes and set its next review day.
+     * New words start in box 1; correct answers promote the word one box,
+     * misses send it back to box 1. A correct answer in the last box marks
+     * the word mastered, and it is no longer due for review (until it's missed).
+     */
+    scheduleReview(entry, isCorrect) {
+        const currentBox = entry.box || 1;
+        if (isCorrect && currentBox === this.maxBox) {
+            entry.mastered = true;
+        } else if (!isCorrect) {
+            delete entry.mastered;
+        }
+        entry.box = isCorrect ? Math.min(currentBox + 1, this.maxBox) : 1;
+        entry.due = this.startOfDay(Date.now()) + this.reviewIntervals[entry.box] * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Get midnight (local time) for a timestamp
+     */
+    startOfDay(timestamp) {
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+
+    /**
+     * Get words due for review, lowest box (least known) first (mastered words are skipped)
+     */
+    getDueWords(language, now = Date.now()) {
+        const lang = this.data.languages[language];
+        if (!lang) return [];
+
+        return Object.entries(lang.words)
+            .filter(([, entry]) => entry.box && !entry.mastered && entry.due <= now)
+            .sort(([, a], [, b]) => a.box - b.box || a.due - b.due)
+            .map(([word]) => word);
+    }
+
+    /**
+     * Record a finished game (details: durationMs and mode id, when known)
+     */
+    recordGame(language, score, totalQuestions, details = {}) {
+        const lang = this.getLanguage(language);
+        lang.games.push({
+            date: Date.now(),
+            score,
+            totalQuestions,
+            durationMs: details.durationMs || 0,
+            mode: details.mode || null
+        });
+        lang.games = lang.games.slice(-this.maxGames);
+        this.save();
+    }
+
+    /**
+     * Get most recently heard words, newest first
+     */
+    getRecentWords(language, limit = this.maxRecentWords) {
+        return this.getLanguage(language).recent.slice(0, limit);
+    }
+
+    /**
+     * Get stats for a single word (null if never seen)
+     */
+    getWordStats(language, word) {
+        const lang = this.data.languages[language];
+        return (lang && lang.words[word]) || null;
+    }
+
+    /**
+     * Get finished games, oldest first
+     */
+    getGames(language) {
+        return [...this.getLanguage(language).games];
+    }
+
+    /**
+     * Get words missed most often in games, with their stats
+     */
+    getMissedWords(language, limit = 10) {
+        const lang = this.data.languages[language];
+        if (!lang) return [];
+
+        return Object.entries(lang.words)
+            .map(([word, entry]) => ({ word, ...entry, missed: entry.attempts - entry.correct }))
+            .filter(entry => entry.missed > 0)
+            .sort((a, b) => b.missed - a.missed || (a.correct / a.attempts) - (b.correct / b.attempts))
+            .slice(0, limit);
+    }
+
+    /**
+     * Get total time spent playing games, in milliseconds
+     */
+    getTotalGameTime(language) {
+        return this.getLanguage(language).games.reduce((total, game) => total + (game.durationMs || 0), 0);
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressStore;
+}
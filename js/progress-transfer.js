@@ -0,0 +1,247 @@
+/**
+ * Kid-Friendly Word Learning Website - Progress Transfer
+ * Exports a child's progress and settings as a versioned JSON backup (or a CSV of word results)
+ * and validates backups before they are merged back in
+ */
+
+class ProgressTransfer {
+    constructor() {
+        this.format = 'wordApp.export';
+        this.version = 1; // Bump when the file layout changes; older files must still import
+    }
+
+    /**
+     * Settings groups a backup may restore, with a check for each of their values.
+     * Unknown groups and keys, and values that fail their check, are left out of an import.
+     */
+    static get SETTINGS_RULES() {
+        const isWhole = (min, max) => value => Number.isInteger(value) && value >= min && value <= max;
+        const isNumber = (min, max) => value => Number.isFinite(value) && value >= min && value <= max;
+        const isName = value => typeof value === 'string' && value.length > 0 && value.length <= 200;
+        const isBoolean = value => typeof value === 'boolean';
+        return {
+            game: {
+                questionCount: isWhole(1, 50),
+                timerSeconds: isWhole(0, 300), // 0 = untimed
+                difficulty: value => ['easy', 'mixed', 'hard'].includes(value),
+                categories: value => Array.isArray(value) && value.every(isName),
+                mode: isName
+            },
+            voice: {
+                // The ranges SpeechSynthesisUtterance accepts
+                rate: isNumber(0.1, 10),
+                pitch: isNumber(0, 2),
+                volume: isNumber(0, 1),
+                voices: value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+                    Object.entries(value).every(([language, voice]) => /^[a-z-]+$/.test(language) && isName(voice))
+            },
+            display: {
+                bilingual: isBoolean
+            },
+            access: {
+                scanning: isBoolean,
+                scanInterval: isWhole(500, 10000)
+            }
+        };
+    }
+
+    /**
+     * Build the backup document for a profile (null profile = guest)
+     */
+    createExport(profile, progress, guestSettings = {}) {
+        return {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            profile: profile ? {
+                name: profile.name,
+                avatar: profile.avatar,
+                language: profile.language,
+                readingLevel: profile.readingLevel
+            } : null,
+            settings: profile ? { ...(profile.settings || {}) } : { ...guestSettings },
+            progress: progress.data
+        };
+    }
+
+    /**
+     * Build a CSV of per-word results (one row per language and word)
+     * @param {Function} [getCategory] - (language, word) => category name
+     */
+    createCSV(progress, getCategory = () => '') {
+        const header = ['language', 'word', 'category', 'heard', 'attempts', 'correct', 'accuracy', 'box', 'next_review', 'last_seen'];
+        const rows = [header];
+        const formatDate = timestamp => timestamp ? new Date(timestamp).toISOString().slice(0, 10) : '';
+
+        Object.entries(progress.data.languages).forEach(([language, lang]) => {
+            Object.entries(lang.words).forEach(([word, entry]) => {
+                rows.push([
+                    language,
+                    word,
+                    getCategory(language, word) || '',
+                    entry.heard,
+                    entry.attempts,
+                    entry.correct,
+                    entry.attempts > 0 ? Math.round((entry.correct / entry.attempts) * 100) : '',
+                    entry.mastered ? 'mastered' : entry.box || '',
+                    formatDate(entry.due),
+                    formatDate(entry.lastSeen)
+                ]);
+            });
+        });
+
+        return rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV cell, and defuse values a spreadsheet would run as a formula
+     */
+    escapeCSV(value) {
+        let text = String(value);
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Parse and validate a backup file. Returns a cleaned copy; throws an Error
+     * with a readable message when the file is not a usable backup.
+     */
+    parseImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not a word learning backup (it is not valid JSON).');
+        }
+
+        if (!this.isObject(data) || data.format !== this.format) {
+            throw new Error('This file is not a word learning backup.');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('This backup has no valid version number.');
+        }
+        if (data.version > this.version) {
+            throw new Error('This backup was made by a newer version of the app. Please update and try again.');
+        }
+        if (!this.isObject(data.progress) || !this.isObject(data.progress.languages)) {
+            throw new Error('This backup has no progress data.');
+        }
+
+        const languages = {};
+        Object.entries(data.progress.languages).forEach(([language, lang]) => {
+            languages[language] = this.cleanLanguage(language, lang);
+        });
+
+        return {
+            version: data.version,
+            profile: this.isObject(data.profile) ? data.profile : null,
+            settings: this.isObject(data.settings) ? this.cleanSettings(data.settings) : {},
+            progress: { version: 1, languages }
+        };
+    }
+
+    /**
+     * Validate one language bucket and copy only known fields
+     */
+    cleanLanguage(language, lang) {
+        if (!/^[a-z-]+$/.test(language) || !this.isObject(lang) || !this.isObject(lang.words)) {
+            throw new Error(`The "${language}" progress in this backup is damaged.`);
+        }
+
+        const words = {};
+        Object.entries(lang.words).forEach(([word, entry]) => {
+            if (word === '__proto__') return;
+            const counts = ['heard', 'attempts', 'correct'];
+            if (!this.isObject(entry) || !counts.every(key => this.isCount(entry[key])) || entry.correct > entry.attempts) {
+                throw new Error(`The results for "${word}" in this backup are damaged.`);
+            }
+            words[word] = {
+                heard: entry.heard,
+                lastSeen: this.isCount(entry.lastSeen) ? entry.lastSeen : null,
+                attempts: entry.attempts,
+                correct: entry.correct
+            };
+            if (Number.isInteger(entry.box) && entry.box >= 1 && this.isCount(entry.due)) {
+                words[word].box = entry.box;
+                words[word].due = entry.due;
+                if (entry.mastered === true) words[word].mastered = true;
+            }
+        });
+
+        const recent = Array.isArray(lang.recent) ? lang.recent.filter(word => typeof word === 'string') : [];
+        const games = (Array.isArray(lang.games) ? lang.games : [])
+            .filter(game => this.isObject(game) && this.isCount(game.date) &&
+                this.isCount(game.score) && this.isCount(game.totalQuestions))
+            .map(game => ({
+                date: game.date,
+                score: game.score,
+                totalQuestions: game.totalQuestions,
+                durationMs: this.isCount(game.durationMs) ? game.durationMs : 0,
+                mode: typeof game.mode === 'string' ? game.mode : null
+            }));
+
+        return { words, recent, games };
+    }
+
+    /**
+     * Copy the known settings that pass their checks (see SETTINGS_RULES)
+     */
+    cleanSettings(settings) {
+        const cleaned = {};
+        Object.entries(ProgressTransfer.SETTINGS_RULES).forEach(([group, rules]) => {
+            const values = settings[group];
+            if (!this.isObject(values)) return;
+
+            const kept = {};
+            Object.entries(rules).forEach(([key, isValid]) => {
+                if (!Object.prototype.hasOwnProperty.call(values, key) || !isValid(values[key])) return;
+                const value = values[key];
+                kept[key] = Array.isArray(value) ? [...value] : this.isObject(value) ? { ...value } : value;
+            });
+            if (Object.keys(kept).length > 0) cleaned[group] = kept;
+        });
+        return cleaned;
+    }
+
+    /**
+     * Check for a plain (non-array) object
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Check for a non-negative whole number
+     */
+    isCount(value) {
+        return Number.isInteger(value) && value >= 0;
+    }
+
+    /**
+     * Build a file name like "word-progress-sam-2025-08-17.json"
+     */
+    getFileName(profile, extension) {
+        const name = profile ? profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : '';
+        const date = new Date().toISOString().slice(0, 10);
+        return `word-progress-${name || 'guest'}-${date}.${extension}`;
+    }
+
+    /**
+     * Offer text content as a file download
+     */
+    download(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressTransfer;
+}
@@ -0,0 +1,76 @@
+/**
+ * Kid-Friendly Word Learning Website - Router
+ * Hash routes like #/en/words?category=digraph, so views switch without reloading the app
+ */
+
+class HashRouter {
+    /**
+     * @param {Function} onRoute - Called with { path, segments, params } whenever the route changes
+     */
+    constructor(onRoute) {
+        this.onRoute = onRoute;
+        this.current = null;
+        this.handleHashChange = () => this.resolve();
+    }
+
+    /**
+     * Start listening for route changes and handle the current URL
+     */
+    start() {
+        window.addEventListener('hashchange', this.handleHashChange);
+        return this.resolve();
+    }
+
+    /**
+     * Parse a hash like "#/en/words?category=digraph"
+     */
+    parse(hash) {
+        const [rawPath, query = ''] = (hash || '').replace(/^#\/?/, '').split('?');
+        const segments = rawPath.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+        return {
+            path: segments.join('/'),
+            segments,
+            params: new URLSearchParams(query)
+        };
+    }
+
+    /**
+     * Build a hash from a path and query values (empty values are left out)
+     */
+    buildHash(path, params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') query.set(key, value);
+        });
+        const queryString = query.toString();
+        return `#/${path}${queryString ? `?${queryString}` : ''}`;
+    }
+
+    /**
+     * Go to a route. `replace` swaps the current history entry instead of adding one.
+     */
+    navigate(path, params = {}, { replace = false } = {}) {
+        const hash = this.buildHash(path, params);
+        if (hash === window.location.hash) return this.resolve();
+
+        if (replace) {
+            window.history.replaceState(window.history.state, '', hash);
+            return this.resolve(); // replaceState doesn't fire hashchange
+        }
+        window.location.hash = hash; // hashchange calls resolve()
+        return Promise.resolve();
+    }
+
+    /**
+     * Handle the route in the current URL
+     */
+    resolve() {
+        this.current = this.parse(window.location.hash);
+        return Promise.resolve(this.onRoute(this.current));
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HashRouter;
+}
@@ -0,0 +1,169 @@
+/**
+ * Kid-Friendly Word Learning Website - Speech Practice
+ * Listens to a child reading a word aloud (Web Speech recognition) and judges the attempt
+ */
+
+class SpeechPractice {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.Recognition] - SpeechRecognition constructor (inject a mock in tests)
+     * @param {number} [options.maxAlternatives] - Transcripts to ask the recognizer for
+     */
+    constructor({ Recognition, maxAlternatives = 5 } = {}) {
+        this.Recognition = Recognition === undefined ? SpeechPractice.getDefaultRecognition() : Recognition;
+        this.maxAlternatives = maxAlternatives;
+        this.activeRecognition = null;
+    }
+
+    /**
+     * Get the browser's speech recognition constructor (null if unsupported)
+     */
+    static getDefaultRecognition() {
+        if (typeof window === 'undefined') return null;
+        return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+    }
+
+    /**
+     * Check if speech recognition can be used
+     */
+    isSupported() {
+        return typeof this.Recognition === 'function';
+    }
+
+    /**
+     * Listen once and resolve with the recognizer's transcripts (empty if nothing was heard).
+     * Rejects with an Error whose `code` is the recognizer error (e.g. 'not-allowed').
+     */
+    listen(lang) {
+        if (!this.isSupported()) {
+            const error = new Error('Speech recognition not supported');
+            error.code = 'not-supported';
+            return Promise.reject(error);
+        }
+
+        this.stop();
+
+        return new Promise((resolve, reject) => {
+            const recognition = new this.Recognition();
+            let settled = false;
+
+            recognition.lang = lang;
+            recognition.continuous = false;
+            recognition.interimResults = false;
+            recognition.maxAlternatives = this.maxAlternatives;
+
+            recognition.onresult = (event) => {
+                const transcripts = [];
+                Array.from(event.results || []).forEach(result => {
+                    Array.from(result).forEach(alternative => transcripts.push(alternative.transcript));
+                });
+                settled = true;
+                resolve(transcripts);
+            };
+
+            recognition.onerror = (event) => {
+                if (settled) return;
+                settled = true;
+                // 'no-speech' just means the child stayed quiet
+                if (event.error === 'no-speech') {
+                    resolve([]);
+                    return;
+                }
+                const error = new Error(`Speech recognition error: ${event.error}`);
+                error.code = event.error;
+                reject(error);
+            };
+
+            recognition.onend = () => {
+                if (this.activeRecognition === recognition) this.activeRecognition = null;
+                if (!settled) {
+                    settled = true;
+                    resolve([]);
+                }
+            };
+
+            this.activeRecognition = recognition;
+            try {
+                recognition.start();
+            } catch (error) {
+                settled = true;
+                this.activeRecognition = null;
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Stop listening (e.g. when the game moves on)
+     */
+    stop() {
+        if (!this.activeRecognition) return;
+        try {
+            this.activeRecognition.abort();
+        } catch (error) {
+            // Already stopped
+        }
+        this.activeRecognition = null;
+    }
+
+    /**
+     * Normalize text for comparison: lowercase, no accents or punctuation
+     */
+    normalize(text) {
+        return (text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9œæ\s'-]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Count single-letter edits between two strings
+     */
+    editDistance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(
+                    row[j] + 1,
+                    row[j - 1] + 1,
+                    previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                previous = current;
+            }
+        }
+        return row[b.length];
+    }
+
+    /**
+     * Judge whether any transcript is the target word.
+     * Longer words allow one letter of slack for recognizer spelling slips.
+     */
+    judge(targetWord, transcripts) {
+        const target = this.normalize(targetWord);
+        const heard = transcripts.map(t => this.normalize(t)).filter(Boolean);
+        const tolerance = target.length >= 5 ? 1 : 0;
+
+        const isMatch = heard.some(transcript => {
+            if (transcript === target) return true;
+            return transcript.split(/[\s'-]+/).some(token =>
+                token === target || (tolerance > 0 && this.editDistance(token, target) <= tolerance)
+            );
+        });
+
+        return {
+            isMatch,
+            heard: transcripts[0] || ''
+        };
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpeechPractice;
+}
@@ -0,0 +1,112 @@
+/**
+ * Kid-Friendly Word Learning Website - Switch Scanner
+ * Single-switch access: focus steps through a set of buttons on a timer, and pressing the
+ * switch (which sends Space or Enter, like most switch interfaces) clicks the one in focus
+ */
+
+class SwitchScanner {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getItems - () => the buttons to scan, in order
+     * @param {Function} [options.isPaused] - () => true while scanning should wait (e.g. a dialog is open)
+     * @param {number} [options.interval] - Milliseconds each button stays in focus
+     */
+    constructor({ getItems, isPaused = () => false, interval = 2000 }) {
+        this.getItems = getItems;
+        this.isPaused = isPaused;
+        this.interval = interval;
+        this.timer = null;
+        this.current = null;
+        this.keyHandler = (e) => this.handleKeyDown(e);
+    }
+
+    /**
+     * Check if scanning is on
+     */
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Start scanning from the first button
+     */
+    start() {
+        if (this.isRunning()) return;
+        document.addEventListener('keydown', this.keyHandler, true);
+        this.current = null;
+        this.restartTimer();
+        this.step();
+    }
+
+    /**
+     * Stop scanning and clear the highlight
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        document.removeEventListener('keydown', this.keyHandler, true);
+        this.setCurrent(null);
+    }
+
+    /**
+     * Change how long each button stays in focus
+     */
+    setInterval(interval) {
+        this.interval = interval;
+        if (this.isRunning()) this.restartTimer();
+    }
+
+    /**
+     * Start the step timer over, giving the button in focus a full interval
+     */
+    restartTimer() {
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.step(), this.interval);
+    }
+
+    /**
+     * Move focus to the next button (back to the first after the last)
+     */
+    step() {
+        if (this.isPaused()) return;
+        const items = this.getItems();
+        if (items.length === 0) {
+            this.setCurrent(null);
+            return;
+        }
+        const index = items.indexOf(this.current);
+        this.setCurrent(items[(index + 1) % items.length]);
+    }
+
+    /**
+     * Highlight and focus a button (null clears the highlight)
+     */
+    setCurrent(item) {
+        if (this.current) this.current.classList.remove('scan-focus');
+        this.current = item;
+        if (!item) return;
+        item.classList.add('scan-focus');
+        item.focus();
+        if (typeof item.scrollIntoView === 'function') item.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * The switch: Space or Enter clicks the highlighted button, then scanning carries on
+     */
+    handleKeyDown(e) {
+        if (e.key !== ' ' && e.key !== 'Enter') return;
+        if (this.isPaused() || !this.current || !this.current.isConnected) return;
+        // Leave keys alone when someone has moved focus to another control
+        if (e.target !== this.current && e.target !== document.body) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        this.current.click();
+        this.restartTimer();
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwitchScanner;
+}
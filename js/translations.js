@@ -0,0 +1,66 @@
+/**
+ * Kid-Friendly Word Learning Website - Translations
+ * Links words across language packs (cat ↔ chat) for bilingual cards and the matching game
+ *
+ * data/translations.json is a list of entries keyed by language pack id:
+ *   [{ "english": "cat", "french": "chat" }, ...]
+ * An entry may name any number of languages; words must match the word lists exactly.
+ */
+
+class Translations {
+    constructor(entries = []) {
+        this.setEntries(entries);
+    }
+
+    /**
+     * Replace the translation entries (entries that aren't objects of strings are skipped)
+     */
+    setEntries(entries) {
+        this.entries = [];
+        this.index = new Map(); // 'language:word' -> entry
+
+        (Array.isArray(entries) ? entries : []).forEach(entry => {
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return;
+            const words = {};
+            Object.entries(entry).forEach(([language, word]) => {
+                if (typeof word === 'string' && word.trim()) words[language] = word.trim();
+            });
+            if (Object.keys(words).length < 2) return;
+
+            this.entries.push(words);
+            Object.entries(words).forEach(([language, word]) => {
+                this.index.set(`${language}:${word}`, words);
+            });
+        });
+    }
+
+    /**
+     * Translate a word from one language to another (null if there's no translation)
+     */
+    translate(word, from, to) {
+        const entry = this.index.get(`${from}:${word}`);
+        return entry && entry[to] ? entry[to] : null;
+    }
+
+    /**
+     * Get every { word, translation } pair between two languages
+     */
+    getPairs(from, to) {
+        return this.entries
+            .filter(entry => entry[from] && entry[to])
+            .map(entry => ({ word: entry[from], translation: entry[to] }));
+    }
+
+    /**
+     * Pick the language to translate into: the first candidate (other than `language`)
+     * sharing at least one entry with it, or null
+     */
+    getPartner(language, candidates) {
+        return candidates.find(other => other !== language && this.getPairs(language, other).length > 0) || null;
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Translations;
+}
@@ -0,0 +1,141 @@
+/**
+ * Kid-Friendly Word Learning Website - Word List Store
+ * Keeps teacher-made word lists (e.g. "Week 3 spelling") in localStorage, shared by every
+ * profile on the device. A list belongs to one language and holds full word entries, so
+ * words a teacher adds by hand work like the bundled ones.
+ */
+
+class WordListStore {
+    constructor(storage, storageKey = 'wordApp.wordLists') {
+        this.storage = storage === undefined ? ProgressStore.getDefaultStorage() : storage;
+        this.storageKey = storageKey;
+        this.data = this.load();
+    }
+
+    /**
+     * Longest list name and largest list allowed
+     */
+    static get LIMITS() {
+        return { name: 40, words: 100 };
+    }
+
+    /**
+     * Create an empty word lists document
+     */
+    createEmptyData() {
+        return {
+            version: 1,
+            lists: []
+        };
+    }
+
+    /**
+     * Load word lists from storage
+     */
+    load() {
+        if (!this.storage) return this.createEmptyData();
+
+        try {
+            const parsed = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+            if (!parsed || !Array.isArray(parsed.lists)) {
+                return this.createEmptyData();
+            }
+            return parsed;
+        } catch (error) {
+            console.error('Error loading word lists:', error);
+            return this.createEmptyData();
+        }
+    }
+
+    /**
+     * Save word lists to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.error('Error saving word lists:', error);
+        }
+    }
+
+    /**
+     * Get a language's lists, sorted by name
+     */
+    getLists(language) {
+        return this.data.lists
+            .filter(list => list.language === language)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a list by id (null if missing)
+     */
+    getList(id) {
+        return this.data.lists.find(list => list.id === id) || null;
+    }
+
+    /**
+     * Create a list, or update it when `id` matches an existing list. Words are checked
+     * with WordValidator against the language's categories; problems throw readable Errors.
+     */
+    saveList({ id, name, language, words }) {
+        const trimmedName = (name || '').trim().slice(0, WordListStore.LIMITS.name);
+        if (!trimmedName) {
+            throw new Error('Give the list a name');
+        }
+        if (!LanguagePacks.has(language)) {
+            throw new Error(`Unknown language ${language}`);
+        }
+        const sameName = this.getLists(language).find(list =>
+            list.id !== id && list.name.toLowerCase() === trimmedName.toLowerCase());
+        if (sameName) {
+            throw new Error(`There is already a list called "${sameName.name}"`);
+        }
+        if (!Array.isArray(words) || words.length === 0) {
+            throw new Error('Add at least one word');
+        }
+        if (words.length > WordListStore.LIMITS.words) {
+            throw new Error(`A list can hold up to ${WordListStore.LIMITS.words} words`);
+        }
+
+        const categories = Object.keys(LanguagePacks.get(language).categoryLabels);
+        const { errors } = new WordValidator({ categories }).validate(words);
+        if (errors.length > 0) {
+            const { word, message } = errors[0];
+            throw new Error(word ? `"${word}": ${message}` : message);
+        }
+
+        const existing = this.getList(id);
+        const list = {
+            id: existing ? existing.id : `l${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: trimmedName,
+            language,
+            words: words.map(entry => ({ ...entry })),
+            createdAt: existing ? existing.createdAt : Date.now(),
+            updatedAt: Date.now()
+        };
+
+        if (existing) {
+            this.data.lists[this.data.lists.indexOf(existing)] = list;
+        } else {
+            this.data.lists.push(list);
+        }
+        this.save();
+        return list;
+    }
+
+    /**
+     * Remove a list
+     */
+    deleteList(id) {
+        this.data.lists = this.data.lists.filter(list => list.id !== id);
+        this.save();
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WordListStore;
+}
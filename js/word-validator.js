@@ -0,0 +1,126 @@
+/**
+ * Kid-Friendly Word Learning Website - Word Validator
+ * Checks word list entries against the rules in data/word-list.schema.json, so a hand-edited
+ * typo is reported (and the entry skipped) instead of breaking the word buttons, search or games.
+ * Shared by the app and scripts/lint-data.js.
+ */
+
+class WordValidator {
+    /**
+     * @param {Object} options
+     * @param {string[]} [options.categories] - Allowed categories (any category when left out)
+     */
+    constructor(options = {}) {
+        this.categories = options.categories || null;
+    }
+
+    /**
+     * Fields a word entry may have (matches the schema's properties)
+     */
+    static get FIELDS() {
+        return ['word', 'phonics', 'category', 'emoji', 'image', 'alt', 'audio'];
+    }
+
+    /**
+     * Fields every word entry needs
+     */
+    static get REQUIRED() {
+        return ['word', 'phonics', 'category'];
+    }
+
+    /**
+     * Check a whole word list. Returns the usable entries and one error per bad entry;
+     * only the first entry for a word is kept.
+     */
+    validate(words) {
+        if (!Array.isArray(words)) {
+            return { words: [], errors: [{ index: null, word: null, message: 'The word list must be a JSON array' }] };
+        }
+
+        const valid = [];
+        const errors = [];
+        const firstIndex = new Map();
+
+        words.forEach((entry, index) => {
+            const word = entry && typeof entry.word === 'string' ? entry.word : null;
+            const problems = this.checkEntry(entry);
+            if (problems.length === 0 && firstIndex.has(word.toLowerCase())) {
+                problems.push(`duplicate of entry #${firstIndex.get(word.toLowerCase())}`);
+            }
+
+            if (problems.length > 0) {
+                errors.push({ index, word, message: problems.join('; ') });
+                return;
+            }
+            firstIndex.set(word.toLowerCase(), index);
+            valid.push(entry);
+        });
+
+        return { words: valid, errors };
+    }
+
+    /**
+     * List what's wrong with one entry (empty when it's fine)
+     */
+    checkEntry(entry) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return ['not an object'];
+        }
+
+        const problems = [];
+        WordValidator.REQUIRED.forEach(field => {
+            if (typeof entry[field] !== 'string' || !entry[field].trim()) {
+                problems.push(`missing ${field}`);
+            }
+        });
+        Object.keys(entry).forEach(field => {
+            if (!WordValidator.FIELDS.includes(field)) problems.push(`unknown field "${field}"`);
+        });
+
+        if (typeof entry.word === 'string' && entry.word !== entry.word.trim()) {
+            problems.push('word has spaces around it');
+        }
+        if (typeof entry.phonics === 'string' && entry.phonics.trim() && !/^[^\s-]+(-[^\s-]+)*$/.test(entry.phonics)) {
+            problems.push(`phonics "${entry.phonics}" must be segments joined by single dashes`);
+        }
+        if (this.categories && typeof entry.category === 'string' && entry.category.trim() &&
+            !this.categories.includes(entry.category)) {
+            problems.push(`unknown category "${entry.category}"`);
+        }
+
+        ['emoji', 'alt'].forEach(field => {
+            if (field in entry && (typeof entry[field] !== 'string' || !entry[field].trim())) {
+                problems.push(`${field} must be non-empty text`);
+            }
+        });
+        ['image', 'audio'].forEach(field => {
+            if (field in entry && !WordValidator.isLocalPath(entry[field])) {
+                problems.push(`${field} must be a local file path (the app has to work offline)`);
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Check that the phonics segments spell the word (silent letters included).
+     * Returns a message, or null when they match.
+     */
+    checkSpelling(entry) {
+        const spelled = entry.phonics.split('-').join('');
+        if (spelled.toLowerCase() === entry.word.toLowerCase()) return null;
+        return `phonics "${entry.phonics}" spells "${spelled}", not "${entry.word}"`;
+    }
+
+    /**
+     * Check that an image or audio path is relative to the site (no URL scheme or //host)
+     */
+    static isLocalPath(src) {
+        return typeof src === 'string' && src.trim() !== '' && !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src.trim());
+    }
+}
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WordValidator;
+}
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Kid-Friendly Word Learning Website - Data Lint
+ * Checks every language pack's word list before it ships:
+ *   - entries follow data/word-list.schema.json (required fields, categories, picture and audio fields)
+ *   - image and audio files exist
+ *   - phonics segments spell the word
+ *   - no word appears twice
+ *   - data/translations.json only links words that exist
+ *
+ * Usage: node scripts/lint-data.js [--segmenter]
+ * Exits with status 1 when anything is wrong.
+ *
+ * --segmenter also reports how often PhonicsSegmenter's proposals match the word lists
+ * (a report only; the agreement thresholds are checked by test/phonics-segmenter.test.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// The browser scripts share globals; give them the same ones here
+global.PhonicsModels = require('../js/phonics-models.js');
+const { LanguagePacks } = require('../js/language-packs.js');
+const WordValidator = require('../js/word-validator.js');
+const PhonicsSegmenter = require('../js/phonics-segmenter.js');
+
+// Disagreements shown per word list by --segmenter
+const SEGMENTER_EXAMPLES = 10;
+
+/**
+ * Read and parse a JSON file from the site root (null, with a printed error, if it can't be)
+ */
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    } catch (error) {
+        console.error(`${file}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Check that the validator and the schema describe the same fields and categories
+ */
+function lintSchema(schema) {
+    const problems = [];
+    const fields = Object.keys(schema.items.properties);
+    const sameFields = fields.length === WordValidator.FIELDS.length &&
+        fields.every(field => WordValidator.FIELDS.includes(field));
+    if (!sameFields) {
+        problems.push(`schema fields (${fields.join(', ')}) differ from WordValidator.FIELDS`);
+    }
+
+    const schemaCategories = schema.items.properties.category.enum;
+    LanguagePacks.list().forEach(pack => {
+        Object.keys(pack.categoryLabels).forEach(category => {
+            if (!schemaCategories.includes(category)) {
+                problems.push(`${pack.id} category "${category}" is missing from the schema`);
+            }
+        });
+    });
+    return problems;
+}
+
+/**
+ * Lint one language pack's word list. Returns its problems and the words it has.
+ */
+function lintWordList(pack) {
+    const words = readJSON(pack.wordFile);
+    if (words === null) return { problems: ['could not be read'], words: new Set() };
+
+    const validator = new WordValidator({ categories: Object.keys(pack.categoryLabels) });
+    const { words: valid, errors } = validator.validate(words);
+    const problems = errors.map(({ index, word, message }) =>
+        index === null ? message : `#${index} ${word === null ? '' : `"${word}" `}${message}`);
+
+    const segmenter = new PhonicsSegmenter(pack.phonics);
+    valid.forEach(entry => {
+        const spelling = validator.checkSpelling(entry);
+        if (spelling) {
+            problems.push(`#${words.indexOf(entry)} "${entry.word}" ${spelling} (try "${segmenter.segment(entry.word)}")`);
+        }
+        ['image', 'audio'].forEach(field => {
+            if (field in entry && !fs.existsSync(path.join(ROOT, entry[field].trim()))) {
+                problems.push(`#${words.indexOf(entry)} "${entry.word}" ${field} file ${entry[field]} not found`);
+            }
+        });
+    });
+
+    return { problems, words: new Set(valid.map(entry => entry.word)), entries: valid };
+}
+
+/**
+ * Compare PhonicsSegmenter's proposals with a pack's word list entries
+ */
+function reportSegmenter(pack, entries) {
+    const segmenter = new PhonicsSegmenter(pack.phonics);
+    let samePhonics = 0;
+    let sameCategory = 0;
+    const differences = [];
+
+    entries.forEach(entry => {
+        const { phonics, category } = segmenter.suggest(entry.word);
+        if (phonics === entry.phonics) samePhonics++;
+        if (category === entry.category) sameCategory++;
+        if (phonics !== entry.phonics || category !== entry.category) {
+            differences.push(`"${entry.word}" ${entry.phonics} (${entry.category}), proposed ${phonics} (${category})`);
+        }
+    });
+
+    const percent = count => (entries.length === 0 ? 100 : Math.round(count / entries.length * 100));
+    console.log(`${pack.wordFile}: segmenter matches ${samePhonics}/${entries.length} phonics (${percent(samePhonics)}%), ` +
+        `${sameCategory}/${entries.length} categories (${percent(sameCategory)}%)`);
+    differences.slice(0, SEGMENTER_EXAMPLES).forEach(difference => console.log(`  ${difference}`));
+    if (differences.length > SEGMENTER_EXAMPLES) {
+        console.log(`  ...and ${differences.length - SEGMENTER_EXAMPLES} more`);
+    }
+}
+
+/**
+ * Check that translations only link words found in the word lists
+ */
+function lintTranslations(wordsByLanguage) {
+    const entries = readJSON('data/translations.json');
+    if (entries === null) return ['could not be read'];
+    if (!Array.isArray(entries)) return ['must be a JSON array'];
+
+    const problems = [];
+    entries.forEach((entry, index) => {
+        Object.entries(entry || {}).forEach(([language, word]) => {
+            if (!wordsByLanguage.has(language)) {
+                problems.push(`#${index} unknown language "${language}"`);
+            } else if (!wordsByLanguage.get(language).has(word)) {
+                problems.push(`#${index} "${word}" is not in the ${language} word list`);
+            }
+        });
+    });
+    return problems;
+}
+
+function main() {
+    let total = 0;
+    const report = (file, problems, summary = '') => {
+        total += problems.length;
+        console.log(`${file}: ${problems.length === 0 ? 'ok' : `${problems.length} problem(s)`}${summary}`);
+        problems.forEach(problem => console.log(`  ${problem}`));
+    };
+
+    const schema = readJSON('data/word-list.schema.json');
+    report('data/word-list.schema.json', schema ? lintSchema(schema) : ['could not be read']);
+
+    const wordsByLanguage = new Map();
+    const entriesByPack = new Map();
+    LanguagePacks.list().forEach(pack => {
+        const { problems, words, entries = [] } = lintWordList(pack);
+        wordsByLanguage.set(pack.id, words);
+        entriesByPack.set(pack, entries);
+        report(pack.wordFile, problems, ` (${words.size} words)`);
+    });
+
+    if (fs.existsSync(path.join(ROOT, 'data/translations.json'))) {
+        report('data/translations.json', lintTranslations(wordsByLanguage));
+    }
+
+    if (process.argv.includes('--segmenter')) {
+        console.log('');
+        entriesByPack.forEach((entries, pack) => reportSegmenter(pack, entries));
+    }
+
+    process.exitCode = total > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,105 @@
+/**
+ * Kid-Friendly Word Learning Website - Service Worker
+ * Precaches the pages, styles, scripts and word lists so the site works offline
+ */
+
+// Bump this whenever a precached file changes (new word data, styles, scripts).
+// The new worker waits until the page's update prompt is accepted.
+const CACHE_VERSION = 'v17';
+const CACHE_NAME = `word-learning-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'english.html',
+    'french.html',
+    'progress.html',
+    'css/styles.css',
+    'js/progress-store.js',
+    'js/profile-store.js',
+    'js/kiosk-mode.js',
+    'js/phonics-models.js',
+    'js/phonics-segmenter.js',
+    'js/language-packs.js',
+    'js/router.js',
+    'js/translations.js',
+    'js/word-validator.js',
+    'js/word-list-store.js',
+    'js/speech-practice.js',
+    'js/audio-clip-store.js',
+    'js/clip-recorder.js',
+    'js/grid-navigation.js',
+    'js/switch-scanner.js',
+    'js/live-announcer.js',
+    'js/game-modes.js',
+    'js/app.js',
+    'js/progress-transfer.js',
+    'js/progress-dashboard.js',
+    'data/english-words.json',
+    'data/french-words.json',
+    'data/translations.json',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+self.addEventListener('install', (event) => {
+    // `reload` skips the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('word-learning-') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(cacheFirst(request));
+});
+
+/**
+ * Serve from the cache, falling back to the network (and caching what it returns)
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    // Ignore query strings: styles.css?v=... and english.html?autoGame=true are the same files
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        // Partial responses (audio range requests) can't be cached
+        if (response.status === 200 && response.type === 'basic') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Offline and not cached: send page visits to the home page
+        if (request.mode === 'navigate') {
+            const home = await cache.match('index.html');
+            if (home) return home;
+        }
+        throw error;
+    }
+}
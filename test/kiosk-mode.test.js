@@ -0,0 +1,35 @@
+/**
+ * KioskMode PIN lock. Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The browser scripts share globals; give them the same ones here
+global.PhonicsModels = require('../js/phonics-models.js');
+global.ProgressStore = require('../js/progress-store.js');
+global.LanguagePacks = require('../js/language-packs.js').LanguagePacks;
+const KioskMode = require('../js/kiosk-mode.js');
+
+test('a PIN is stored hashed and unlocks only with the same PIN', async () => {
+    const kiosk = new KioskMode(null);
+    await kiosk.enable('1234', 'english');
+    assert.match(kiosk.data.pinHash, /^[0-9a-f]{64}$/);
+    assert.strictEqual(await kiosk.disable('0000'), false);
+    assert.strictEqual(kiosk.isEnabled(), true);
+    assert.strictEqual(await kiosk.disable('1234'), true);
+    assert.strictEqual(kiosk.isEnabled(), false);
+});
+
+test('without crypto.subtle kiosk mode is unsupported and will not lock', async () => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    Object.defineProperty(globalThis, 'crypto', { value: {}, configurable: true });
+    try {
+        const kiosk = new KioskMode(null);
+        assert.strictEqual(kiosk.isSupported(), false);
+        await assert.rejects(kiosk.enable('1234', 'english'), /secure/);
+        assert.strictEqual(kiosk.isEnabled(), false);
+    } finally {
+        Object.defineProperty(globalThis, 'crypto', descriptor);
+    }
+});
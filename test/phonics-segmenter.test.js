@@ -0,0 +1,97 @@
+/**
+ * PhonicsSegmenter against the hand-written word lists (the ground truth).
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// The browser scripts share globals; give them the same ones here
+global.PhonicsModels = require('../js/phonics-models.js');
+const { LanguagePacks } = require('../js/language-packs.js');
+const PhonicsSegmenter = require('../js/phonics-segmenter.js');
+
+// Lowest share of word list entries whose phonics and category the segmenter must
+// propose exactly. Raise these when the segmentation rules improve.
+const THRESHOLDS = {
+    english: { phonics: 0.95, category: 0.98 },
+    french: { phonics: 0.76, category: 0.89 }
+};
+
+function loadEntries(pack) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, '..', pack.wordFile), 'utf8'));
+}
+
+function segmenterFor(language) {
+    return new PhonicsSegmenter(LanguagePacks.get(language).phonics);
+}
+
+LanguagePacks.list().forEach(pack => {
+    const segmenter = new PhonicsSegmenter(pack.phonics);
+    const entries = loadEntries(pack);
+
+    test(`${pack.id}: segments always spell the word`, () => {
+        entries.forEach(({ word }) => {
+            assert.strictEqual(segmenter.segment(word).replace(/-/g, ''), word, word);
+        });
+    });
+
+    test(`${pack.id}: agrees with the word list on every entry at least as often as its threshold`, () => {
+        const thresholds = THRESHOLDS[pack.id];
+        assert.ok(thresholds, `no segmenter thresholds for ${pack.id}`);
+
+        ['phonics', 'category'].forEach(field => {
+            const misses = entries.filter(entry => segmenter.suggest(entry.word)[field] !== entry[field]);
+            const rate = (entries.length - misses.length) / entries.length;
+            assert.ok(rate >= thresholds[field],
+                `${field} matches ${entries.length - misses.length}/${entries.length}, below ${thresholds[field]}; ` +
+                `first misses: ${misses.slice(0, 5).map(entry => entry.word).join(', ')}`);
+        });
+    });
+});
+
+test('english: sound-by-sound split with codas and endings kept whole', () => {
+    const segmenter = segmenterFor('english');
+    assert.deepStrictEqual(segmenter.suggest('ship'), { phonics: 'sh-i-p', category: 'digraph' });
+    assert.deepStrictEqual(segmenter.suggest('blink'), { phonics: 'bl-i-nk', category: 'blend' });
+    assert.deepStrictEqual(segmenter.suggest('cake'), { phonics: 'c-a-ke', category: 'magic_e' });
+    assert.deepStrictEqual(segmenter.suggest('bird'), { phonics: 'b-ir-d', category: 'r_controlled' });
+});
+
+test('french: onset then rime, with the last syllable split off longer words', () => {
+    const segmenter = segmenterFor('french');
+    assert.deepStrictEqual(segmenter.suggest('beau'), { phonics: 'b-eau', category: 'vowel_team' });
+    assert.deepStrictEqual(segmenter.suggest('chat'), { phonics: 'ch-at', category: 'digraph' });
+    assert.strictEqual(segmenter.segment('bateau'), 'ba-t-eau');
+    assert.strictEqual(segmenter.segment('eau'), 'eau');
+});
+
+test('french: a word opening and ending on a vowel keeps its last syllable whole', () => {
+    const segmenter = segmenterFor('french');
+    assert.deepStrictEqual(segmenter.suggest('ami'), { phonics: 'a-mi', category: 'simple' });
+    assert.strictEqual(segmenter.segment('aussi'), 'au-ssi');
+    assert.strictEqual(segmenter.segment('oiseau'), 'oi-s-eau');
+});
+
+test('french: nasal vowels stay in one segment with the rest of the rime', () => {
+    const segmenter = segmenterFor('french');
+    assert.deepStrictEqual(segmenter.suggest('pain'), { phonics: 'p-ain', category: 'vowel_team' });
+    assert.deepStrictEqual(segmenter.suggest('plan'), { phonics: 'pl-an', category: 'blend' });
+    assert.strictEqual(segmenter.segment('blond'), 'bl-ond');
+    assert.strictEqual(segmenter.segment('champ'), 'ch-amp');
+    assert.strictEqual(segmenter.segment('frein'), 'fr-ein');
+    assert.strictEqual(segmenter.segment('lapin'), 'la-p-in');
+});
+
+test('french: "gn" is one sound, as an onset or in the rime', () => {
+    const segmenter = segmenterFor('french');
+    assert.deepStrictEqual(segmenter.suggest('gnome'), { phonics: 'gn-ome', category: 'digraph' });
+    assert.deepStrictEqual(segmenter.suggest('ligne'), { phonics: 'l-igne', category: 'digraph' });
+    assert.strictEqual(segmenter.segment('agneau'), 'a-gn-eau');
+});
+
+test('blank words get no proposal', () => {
+    assert.deepStrictEqual(segmenterFor('english').suggest('  '), { phonics: '', category: null });
+});
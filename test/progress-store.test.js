@@ -0,0 +1,76 @@
+/**
+ * ProgressStore review scheduling (Leitner boxes). Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ProgressStore = require('../js/progress-store.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Answer a word once on each day it comes due, until it stops coming due (or `limit` days)
+ */
+function reviewUntilRetired(store, isCorrect, limit = 100) {
+    const realNow = Date.now;
+    let now = realNow();
+    const answered = [];
+    try {
+        for (let day = 0; day < limit; day++, now += DAY) {
+            Date.now = () => now;
+            if (!store.getDueWords('english', now).includes('cat')) continue;
+            store.recordAttempt('english', 'cat', isCorrect(answered.length));
+            answered.push(store.getWordStats('english', 'cat').box);
+        }
+    } finally {
+        Date.now = realNow;
+    }
+    return answered;
+}
+
+test('a word answered correctly in every box stops being due', () => {
+    const store = new ProgressStore(null);
+    store.recordAttempt('english', 'cat', true);
+    assert.deepStrictEqual(store.getDueWords('english'), [], 'not due again the same day');
+    const boxes = reviewUntilRetired(store, () => true);
+
+    assert.deepStrictEqual(boxes, [3, 4, 5, 5]);
+    assert.strictEqual(store.getWordStats('english', 'cat').mastered, true);
+    assert.deepStrictEqual(store.getDueWords('english', Date.now() + 365 * DAY), []);
+});
+
+test('a perfect review session empties the review list for the rest of the day', () => {
+    const store = new ProgressStore(null);
+    const words = ['cat', 'dog', 'sun', 'hat'];
+    words.forEach(word => store.recordAttempt('english', word, false));
+    store.recordAttempt('english', 'hat', true); // Box 2
+    const now = Date.now();
+    assert.deepStrictEqual(store.getDueWords('english', now).sort(), ['cat', 'dog', 'sun']);
+
+    store.getDueWords('english', now).forEach(word => store.recordAttempt('english', word, true));
+    const endOfDay = store.startOfDay(now) + DAY - 1;
+    assert.deepStrictEqual(store.getDueWords('english', now), []);
+    assert.deepStrictEqual(store.getDueWords('english', endOfDay), []);
+    assert.deepStrictEqual(store.getDueWords('english', endOfDay + 1).sort(), words.sort());
+});
+
+test('missing a mastered word puts it back in review', () => {
+    const store = new ProgressStore(null);
+    store.recordAttempt('english', 'cat', true);
+    reviewUntilRetired(store, () => true);
+
+    store.recordAttempt('english', 'cat', false);
+    const stats = store.getWordStats('english', 'cat');
+    assert.strictEqual(stats.box, 1);
+    assert.strictEqual(stats.mastered, undefined);
+    assert.deepStrictEqual(store.getDueWords('english'), ['cat']);
+});
+
+test('a miss sends a word back to box 1', () => {
+    const store = new ProgressStore(null);
+    store.recordAttempt('english', 'cat', true);
+    store.recordAttempt('english', 'cat', true);
+    store.recordAttempt('english', 'cat', false);
+    assert.strictEqual(store.getWordStats('english', 'cat').box, 1);
+    assert.deepStrictEqual(store.getDueWords('english'), ['cat']);
+});
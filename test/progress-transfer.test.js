@@ -0,0 +1,62 @@
+/**
+ * ProgressTransfer.parseImport: damaged backups are rejected or cleaned before they
+ * reach the profile store. Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ProgressTransfer = require('../js/progress-transfer.js');
+
+const transfer = new ProgressTransfer();
+
+function backup(settings) {
+    return JSON.stringify({
+        format: 'wordApp.export',
+        version: 1,
+        profile: null,
+        settings,
+        progress: { version: 1, languages: {} }
+    });
+}
+
+test('keeps valid settings', () => {
+    const settings = {
+        game: { questionCount: 15, timerSeconds: 0, difficulty: 'easy', categories: ['cvc'], mode: 'spell-it' },
+        voice: { rate: 0.8, pitch: 1.1, volume: 1, voices: { english: 'Samantha' } },
+        display: { bilingual: true },
+        access: { scanning: true, scanInterval: 1500 }
+    };
+    assert.deepStrictEqual(transfer.parseImport(backup(settings)).settings, settings);
+});
+
+test('drops values of the wrong type or out of range', () => {
+    const { settings } = transfer.parseImport(backup({
+        game: { questionCount: '10', timerSeconds: -5, difficulty: 'impossible', categories: 'cvc', mode: 'rhyme' },
+        voice: { rate: 'fast', pitch: 99, volume: null, voices: ['Samantha'] },
+        display: { bilingual: 'yes' },
+        access: { scanning: true, scanInterval: 0 }
+    }));
+    assert.deepStrictEqual(settings, {
+        game: { mode: 'rhyme' },
+        access: { scanning: true }
+    });
+});
+
+test('drops unknown groups and keys', () => {
+    const { settings } = transfer.parseImport(
+        '{"format":"wordApp.export","version":1,"progress":{"languages":{}},' +
+        '"settings":{"__proto__":{"polluted":true},"theme":{"dark":true},"game":{"questionCount":5,"extra":1},"voice":"loud"}}'
+    );
+    assert.deepStrictEqual(settings, { game: { questionCount: 5 } });
+    assert.strictEqual({}.polluted, undefined);
+});
+
+test('rejects a file that is not a backup', () => {
+    assert.throws(() => transfer.parseImport('not json'), /not valid JSON/);
+    assert.throws(() => transfer.parseImport('{"format":"other"}'), /not a word learning backup/);
+    assert.throws(() => transfer.parseImport(JSON.stringify({
+        format: 'wordApp.export',
+        version: 1,
+        progress: { languages: { english: { words: { cat: { heard: 1, attempts: 1, correct: 2 } } } } }
+    })), /"cat" in this backup are damaged/);
+});
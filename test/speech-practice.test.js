@@ -0,0 +1,108 @@
+/**
+ * SpeechPractice with a mock recognizer: listening results and judging attempts.
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SpeechPractice = require('../js/speech-practice.js');
+
+/**
+ * Build a recognizer class that answers start() with `respond(recognition)`
+ */
+function mockRecognition(respond) {
+    return class MockRecognition {
+        constructor() {
+            MockRecognition.last = this;
+            this.aborted = false;
+        }
+
+        start() {
+            setTimeout(() => respond(this), 0);
+        }
+
+        abort() {
+            this.aborted = true;
+        }
+    };
+}
+
+/**
+ * A recognizer result event: one result with these alternatives
+ */
+function resultEvent(...transcripts) {
+    return { results: [transcripts.map(transcript => ({ transcript }))] };
+}
+
+test('resolves with every alternative transcript', async () => {
+    const Recognition = mockRecognition(recognition => {
+        recognition.onresult(resultEvent('Cat', 'cut'));
+        recognition.onend();
+    });
+    const practice = new SpeechPractice({ Recognition });
+    assert.deepStrictEqual(await practice.listen('en-US'), ['Cat', 'cut']);
+    assert.strictEqual(Recognition.last.lang, 'en-US');
+    assert.strictEqual(practice.activeRecognition, null);
+});
+
+test('no result resolves with no transcripts', async () => {
+    const quiet = new SpeechPractice({ Recognition: mockRecognition(recognition => recognition.onend()) });
+    assert.deepStrictEqual(await quiet.listen('en-US'), []);
+
+    const noSpeech = new SpeechPractice({
+        Recognition: mockRecognition(recognition => {
+            recognition.onerror({ error: 'no-speech' });
+            recognition.onend();
+        })
+    });
+    assert.deepStrictEqual(await noSpeech.listen('en-US'), []);
+});
+
+test('recognizer errors reject with their code', async () => {
+    const practice = new SpeechPractice({
+        Recognition: mockRecognition(recognition => {
+            recognition.onerror({ error: 'not-allowed' });
+            recognition.onend();
+        })
+    });
+    await assert.rejects(practice.listen('en-US'), { code: 'not-allowed' });
+
+    const unsupported = new SpeechPractice({ Recognition: null });
+    assert.strictEqual(unsupported.isSupported(), false);
+    await assert.rejects(unsupported.listen('en-US'), { code: 'not-supported' });
+});
+
+test('a new listen() aborts the one in progress', async () => {
+    const Recognition = mockRecognition(() => {});
+    const practice = new SpeechPractice({ Recognition });
+    practice.listen('en-US');
+    const first = Recognition.last;
+    practice.listen('en-US');
+    assert.strictEqual(first.aborted, true);
+    practice.stop();
+    assert.strictEqual(Recognition.last.aborted, true);
+});
+
+test('judge ignores case, accents and punctuation', () => {
+    const practice = new SpeechPractice({ Recognition: null });
+    assert.strictEqual(practice.judge('cat', ['CAT!']).isMatch, true);
+    assert.strictEqual(practice.judge('été', ['Ete']).isMatch, true);
+    assert.strictEqual(practice.judge('chat', ['le chat']).isMatch, true);
+    assert.strictEqual(practice.judge('eau', ["l'eau"]).isMatch, true);
+});
+
+test('judge allows one slip for words of 5 or more letters only', () => {
+    const practice = new SpeechPractice({ Recognition: null });
+    assert.strictEqual(practice.judge('cat', ['cut']).isMatch, false);
+    assert.strictEqual(practice.judge('frog', ['frogs']).isMatch, false);
+    assert.strictEqual(practice.judge('plant', ['plants']).isMatch, true);
+    assert.strictEqual(practice.judge('plant', ['plan']).isMatch, true);
+    assert.strictEqual(practice.judge('plant', ['pla']).isMatch, false);
+});
+
+test('judge checks every alternative and reports the first one heard', () => {
+    const practice = new SpeechPractice({ Recognition: null });
+    assert.deepStrictEqual(practice.judge('ship', ['sheep', 'ship']), { isMatch: true, heard: 'sheep' });
+    assert.deepStrictEqual(practice.judge('ship', []), { isMatch: false, heard: '' });
+    assert.deepStrictEqual(practice.judge('ship', ['', '  ']), { isMatch: false, heard: '' });
+});